@@ -0,0 +1,45 @@
+// ============================================================================
+// ABILITIES
+// ============================================================================
+// Special abilities the player equips before a run. Kills charge the meter
+// (see the ability settings in CONFIG) and a full meter can be spent with Q.
+//
+//   cost     - charge needed to use the ability
+//   duration - milliseconds it stays active, 0 for instant abilities
+
+export const ABILITIES = [
+    {
+        id: 'laser',
+        name: 'LASER',
+        description: 'Beam that burns through everything in line',
+        cost: 30,
+        duration: 1500
+    },
+    {
+        id: 'bomb',
+        name: 'SMART BOMB',
+        description: 'Clears every alien and shot on screen',
+        cost: 40,
+        duration: 0
+    },
+    {
+        id: 'timeSlow',
+        name: 'TIME SLOW',
+        description: 'Enemies and their fire crawl for a while',
+        cost: 25,
+        duration: 4000
+    },
+    {
+        id: 'clone',
+        name: 'CLONE SHIP',
+        description: 'A wingman copies every shot you fire',
+        cost: 30,
+        duration: 8000
+    }
+];
+
+export const DEFAULT_ABILITY = ABILITIES[0].id;
+
+export function getAbility(id) {
+    return ABILITIES.find(ability => ability.id === id) || ABILITIES[0];
+}
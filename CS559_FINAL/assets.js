@@ -0,0 +1,90 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+
+// ============================================================================
+// ASSETS
+// ============================================================================
+// Models come from a manifest - one entry per model the game needs:
+//
+//   url   - model file to load, or null to always build it
+//   scale - uniform scale for the loaded model
+//   build - () => THREE.Object3D made from primitives, used when files are
+//           off (prototype mode) or the file fails to load
+//
+// Loaded and built models are templates kept for the whole session, so
+// switching modes back and forth never fetches or builds anything twice.
+// Templates are never added to the scene or disposed - use clones of them.
+
+export function createAssetCache() {
+    return {
+        loaded: new Map(), // url -> template
+        failed: new Map(), // url -> error, so a missing file is only asked for once
+        built: new Map() // manifest id -> template
+    };
+}
+
+// Load every model in the manifest and hand back { id: template }.
+// useFiles: false builds everything from primitives.
+// callbacks:
+//   onProgress(loaded, total) - files finished so far
+//   onError(id, url, error)   - a file failed, its builder is used instead
+//   onDone(assets)            - every model is ready
+export function loadAssets(manifest, cache, useFiles, callbacks) {
+    const assets = {};
+    const toLoad = [];
+    
+    Object.entries(manifest).forEach(([id, entry]) => {
+        if (!useFiles || !entry.url) {
+            assets[id] = getBuilt(cache, id, entry);
+        } else if (cache.loaded.has(entry.url)) {
+            assets[id] = cache.loaded.get(entry.url);
+        } else if (cache.failed.has(entry.url)) {
+            callbacks.onError(id, entry.url, cache.failed.get(entry.url));
+            assets[id] = getBuilt(cache, id, entry);
+        } else {
+            toLoad.push([id, entry]);
+        }
+    });
+    
+    if (toLoad.length === 0) {
+        callbacks.onDone(assets);
+        return;
+    }
+    
+    // The manager sees every file, including ones a model pulls in (textures)
+    const manager = new THREE.LoadingManager();
+    manager.onProgress = (url, loaded, total) => callbacks.onProgress(loaded, total);
+    manager.onLoad = () => callbacks.onDone(assets);
+    
+    const loader = new GLTFLoader(manager);
+    toLoad.forEach(([id, entry]) => {
+        loader.load(
+            entry.url,
+            (gltf) => {
+                const model = gltf.scene;
+                model.scale.setScalar(entry.scale);
+                model.traverse((child) => {
+                    if (child.isMesh) {
+                        child.castShadow = true;
+                        child.receiveShadow = true;
+                    }
+                });
+                cache.loaded.set(entry.url, model);
+                assets[id] = model;
+            },
+            undefined,
+            (error) => {
+                cache.failed.set(entry.url, error);
+                callbacks.onError(id, entry.url, error);
+                assets[id] = getBuilt(cache, id, entry);
+            }
+        );
+    });
+}
+
+function getBuilt(cache, id, entry) {
+    if (!cache.built.has(id)) {
+        cache.built.set(id, entry.build());
+    }
+    return cache.built.get(id);
+}
@@ -0,0 +1,324 @@
+import { createRng, nextRandom, randomSeed } from './random.js';
+
+// ============================================================================
+// AUDIO
+// ============================================================================
+// Every sound is synthesized with Web Audio - there are no audio files.
+// Browsers only allow sound after the player interacts with the page, so the
+// AudioContext is created by unlockAudio() on the first click or key press.
+// Until then (or without Web Audio at all) every call here does nothing.
+//
+// Sounds are lists of layers that play together:
+//
+//   { type: 'tone', wave, from, to, duration, volume, delay }
+//       an oscillator sliding from one frequency (Hz) to another
+//   { type: 'noise', from, to, duration, volume, delay }
+//       white noise through a lowpass filter sliding between cutoffs
+//
+// Durations and delays are in seconds, volume is the peak gain.
+
+const STORAGE_KEY = 'spaceInvaders.audio';
+
+const DEFAULT_SETTINGS = {
+    muted: false,
+    sfxVolume: 0.7,
+    musicVolume: 0.5
+};
+
+export const SOUNDS = {
+    fire: [
+        { type: 'tone', wave: 'square', from: 880, to: 220, duration: 0.08, volume: 0.08 }
+    ],
+    alienHit: [
+        { type: 'tone', wave: 'triangle', from: 420, to: 180, duration: 0.07, volume: 0.25 }
+    ],
+    alienDeath: [
+        { type: 'noise', from: 3000, to: 200, duration: 0.35, volume: 0.35 },
+        { type: 'tone', wave: 'sine', from: 220, to: 40, duration: 0.3, volume: 0.3 }
+    ],
+    chargerEnrage: [
+        { type: 'tone', wave: 'sawtooth', from: 110, to: 440, duration: 0.4, volume: 0.15 },
+        { type: 'tone', wave: 'sawtooth', from: 116, to: 466, duration: 0.4, volume: 0.1 }
+    ],
+    playerDamage: [
+        { type: 'noise', from: 1200, to: 100, duration: 0.5, volume: 0.5 },
+        { type: 'tone', wave: 'square', from: 160, to: 40, duration: 0.45, volume: 0.2 }
+    ],
+    waveStart: [
+        { type: 'tone', wave: 'sine', from: 523, to: 523, duration: 0.12, volume: 0.25 },
+        { type: 'tone', wave: 'sine', from: 659, to: 659, duration: 0.12, volume: 0.25, delay: 0.12 },
+        { type: 'tone', wave: 'sine', from: 784, to: 784, duration: 0.25, volume: 0.25, delay: 0.24 }
+    ],
+    gameOver: [
+        { type: 'tone', wave: 'sawtooth', from: 392, to: 380, duration: 0.3, volume: 0.15 },
+        { type: 'tone', wave: 'sawtooth', from: 330, to: 318, duration: 0.3, volume: 0.15, delay: 0.3 },
+        { type: 'tone', wave: 'sawtooth', from: 262, to: 196, duration: 0.8, volume: 0.15, delay: 0.6 }
+    ]
+};
+
+// Looping laser hum - two detuned saws through a wobbling lowpass
+const LASER_HUM = {
+    frequencies: [55, 110.5],
+    cutoff: 600,
+    wobbleRate: 8, // Hz
+    wobbleDepth: 300, // Hz of cutoff
+    volume: 0.12
+};
+
+// The march - a four-note bass loop that plays faster as aliens close in
+export const MUSIC = {
+    notes: [98, 87.31, 77.78, 73.42],
+    wave: 'square',
+    beat: 0.55, // Seconds per note at normal tempo
+    noteLength: 0.12,
+    volume: 0.25,
+    maxTempoScale: 3, // Tempo when the aliens reach the player
+    lookahead: 0.1 // Seconds of notes scheduled ahead of time
+};
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+export function loadAudioSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored === null || typeof stored !== 'object') return { ...DEFAULT_SETTINGS };
+        return {
+            muted: stored.muted === true,
+            sfxVolume: clampVolume(stored.sfxVolume, DEFAULT_SETTINGS.sfxVolume),
+            musicVolume: clampVolume(stored.musicVolume, DEFAULT_SETTINGS.musicVolume)
+        };
+    } catch (error) {
+        // Corrupt or blocked storage - use the defaults
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+function saveAudioSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error('Could not save audio settings:', error);
+    }
+}
+
+function clampVolume(value, fallback) {
+    return typeof value === 'number' && isFinite(value) ? Math.min(Math.max(value, 0), 1) : fallback;
+}
+
+// ============================================================================
+// ENGINE
+// ============================================================================
+export function createAudioEngine() {
+    return {
+        settings: loadAudioSettings(),
+        context: null, // Created by unlockAudio
+        master: null,
+        sfx: null,
+        music: null,
+        noise: null, // Shared white noise buffer
+        laserHum: null, // Nodes of the running hum
+        march: { playing: false, step: 0, nextNoteTime: 0 },
+        paused: false
+    };
+}
+
+// Call from a user gesture (click, key press) - creates or wakes the context
+export function unlockAudio(audio) {
+    if (!audio.context) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        
+        const context = new AudioContextClass();
+        audio.context = context;
+        audio.master = context.createGain();
+        audio.master.connect(context.destination);
+        audio.sfx = context.createGain();
+        audio.sfx.connect(audio.master);
+        audio.music = context.createGain();
+        audio.music.connect(audio.master);
+        audio.noise = createNoiseBuffer(context);
+        applySettings(audio);
+    }
+    if (!audio.paused && audio.context.state === 'suspended') {
+        audio.context.resume();
+    }
+}
+
+// key: 'muted', 'sfxVolume' or 'musicVolume'
+export function setAudioSetting(audio, key, value) {
+    audio.settings[key] = key === 'muted' ? value === true : clampVolume(value, audio.settings[key]);
+    saveAudioSettings(audio.settings);
+    applySettings(audio);
+}
+
+function applySettings(audio) {
+    if (!audio.context) return;
+    
+    const settings = audio.settings;
+    const now = audio.context.currentTime;
+    audio.master.gain.setValueAtTime(settings.muted ? 0 : 1, now);
+    audio.sfx.gain.setValueAtTime(settings.sfxVolume, now);
+    audio.music.gain.setValueAtTime(settings.musicVolume, now);
+}
+
+// Freeze everything mid-sound, e.g. while the game is paused
+export function pauseAudio(audio) {
+    audio.paused = true;
+    if (audio.context && audio.context.state === 'running') {
+        audio.context.suspend();
+    }
+}
+
+export function resumeAudio(audio) {
+    audio.paused = false;
+    if (audio.context && audio.context.state === 'suspended') {
+        audio.context.resume();
+    }
+}
+
+function createNoiseBuffer(context) {
+    const rng = createRng(randomSeed());
+    const buffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = nextRandom(rng) * 2 - 1;
+    }
+    return buffer;
+}
+
+// ============================================================================
+// SOUND EFFECTS
+// ============================================================================
+export function playSound(audio, name) {
+    if (!audio.context || audio.paused) return;
+    
+    const start = audio.context.currentTime;
+    SOUNDS[name].forEach(layer => playLayer(audio, layer, start + (layer.delay || 0)));
+}
+
+function playLayer(audio, layer, start) {
+    const context = audio.context;
+    const end = start + layer.duration;
+    
+    // Quick attack, exponential fade out
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(0.0001, start);
+    envelope.gain.exponentialRampToValueAtTime(layer.volume, start + 0.005);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+    envelope.connect(audio.sfx);
+    
+    let source;
+    if (layer.type === 'noise') {
+        source = context.createBufferSource();
+        source.buffer = audio.noise;
+        
+        const filter = context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(layer.from, start);
+        filter.frequency.exponentialRampToValueAtTime(layer.to, end);
+        source.connect(filter);
+        filter.connect(envelope);
+    } else {
+        source = context.createOscillator();
+        source.type = layer.wave;
+        source.frequency.setValueAtTime(layer.from, start);
+        source.frequency.exponentialRampToValueAtTime(layer.to, end);
+        source.connect(envelope);
+    }
+    
+    source.start(start);
+    source.stop(end);
+}
+
+export function startLaserHum(audio) {
+    if (!audio.context || audio.laserHum) return;
+    
+    const context = audio.context;
+    const output = context.createGain();
+    output.gain.value = LASER_HUM.volume;
+    output.connect(audio.sfx);
+    
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = LASER_HUM.cutoff;
+    filter.connect(output);
+    
+    // LFO wobbling the filter cutoff
+    const wobble = context.createOscillator();
+    wobble.frequency.value = LASER_HUM.wobbleRate;
+    const wobbleDepth = context.createGain();
+    wobbleDepth.gain.value = LASER_HUM.wobbleDepth;
+    wobble.connect(wobbleDepth);
+    wobbleDepth.connect(filter.frequency);
+    
+    const oscillators = LASER_HUM.frequencies.map((frequency) => {
+        const oscillator = context.createOscillator();
+        oscillator.type = 'sawtooth';
+        oscillator.frequency.value = frequency;
+        oscillator.connect(filter);
+        return oscillator;
+    });
+    
+    const sources = [wobble, ...oscillators];
+    sources.forEach(source => source.start());
+    audio.laserHum = { sources: sources, output: output };
+}
+
+export function stopLaserHum(audio) {
+    if (!audio.laserHum) return;
+    
+    audio.laserHum.sources.forEach(source => source.stop());
+    audio.laserHum.output.disconnect();
+    audio.laserHum = null;
+}
+
+// ============================================================================
+// MUSIC
+// ============================================================================
+export function startMusic(audio) {
+    audio.march.playing = true;
+    audio.march.step = 0;
+    audio.march.nextNoteTime = audio.context ? audio.context.currentTime + 0.05 : 0;
+}
+
+export function stopMusic(audio) {
+    audio.march.playing = false;
+}
+
+// Call every frame. tempoScale 1 is normal speed, up to MUSIC.maxTempoScale.
+// Notes are scheduled slightly ahead on the audio clock so they stay even.
+export function updateMusic(audio, tempoScale) {
+    const march = audio.march;
+    if (!march.playing || !audio.context || audio.paused) return;
+    
+    const now = audio.context.currentTime;
+    
+    // Fell behind (e.g. a long frame) - pick up from now instead of catching up
+    if (march.nextNoteTime < now) {
+        march.nextNoteTime = now;
+    }
+    
+    while (march.nextNoteTime < now + MUSIC.lookahead) {
+        playMusicNote(audio, MUSIC.notes[march.step % MUSIC.notes.length], march.nextNoteTime);
+        march.step++;
+        march.nextNoteTime += MUSIC.beat / tempoScale;
+    }
+}
+
+function playMusicNote(audio, frequency, start) {
+    const context = audio.context;
+    const end = start + MUSIC.noteLength;
+    
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(MUSIC.volume, start);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+    envelope.connect(audio.music);
+    
+    const oscillator = context.createOscillator();
+    oscillator.type = MUSIC.wave;
+    oscillator.frequency.value = frequency;
+    oscillator.connect(envelope);
+    oscillator.start(start);
+    oscillator.stop(end);
+}
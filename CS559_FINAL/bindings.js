@@ -0,0 +1,169 @@
+// ============================================================================
+// KEY BINDINGS
+// ============================================================================
+// Which keys trigger each keyboard action, saved in localStorage. Every action
+// has a primary and a secondary slot, each holding a KeyboardEvent.code or
+// null. The weapon number keys and the debug key are fixed. Actions ending in
+// 2 are the second player's in co-op.
+
+const STORAGE_KEY = 'spaceInvaders.keyBindings';
+
+export const ACTIONS = [
+    { id: 'left', label: 'MOVE LEFT' },
+    { id: 'right', label: 'MOVE RIGHT' },
+    { id: 'shoot', label: 'SHOOT' },
+    { id: 'ability', label: 'ABILITY' },
+    { id: 'left2', label: 'P2 MOVE LEFT' },
+    { id: 'right2', label: 'P2 MOVE RIGHT' },
+    { id: 'shoot2', label: 'P2 SHOOT' },
+    { id: 'ability2', label: 'P2 ABILITY' },
+    { id: 'weapon2', label: 'P2 NEXT WEAPON' },
+    { id: 'pause', label: 'PAUSE' },
+    { id: 'mute', label: 'MUTE' }
+];
+
+export const SLOTS = 2;
+
+const DEFAULT_BINDINGS = {
+    left: ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD'],
+    shoot: ['Space', null],
+    ability: ['KeyQ', null],
+    left2: ['KeyJ', null],
+    right2: ['KeyL', null],
+    shoot2: ['KeyI', null],
+    ability2: ['KeyK', null],
+    weapon2: ['KeyU', null],
+    pause: ['KeyP', 'Escape'],
+    mute: ['KeyM', null]
+};
+
+// Keys with a fixed meaning that can't be bound to anything else
+const RESERVED_KEYS = {
+    Digit1: 'WEAPON 1',
+    Digit2: 'WEAPON 2',
+    Digit3: 'WEAPON 3',
+    Digit4: 'WEAPON 4',
+    Digit5: 'WEAPON 5',
+    Digit6: 'WEAPON 6',
+    Digit7: 'WEAPON 7',
+    KeyH: 'HIT VOLUMES'
+};
+
+// Short names for keys whose code doesn't read well
+const KEY_NAMES = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Escape: 'ESC',
+    Space: 'SPACE',
+    ShiftLeft: 'L-SHIFT',
+    ShiftRight: 'R-SHIFT',
+    ControlLeft: 'L-CTRL',
+    ControlRight: 'R-CTRL',
+    AltLeft: 'L-ALT',
+    AltRight: 'R-ALT',
+    Enter: 'ENTER',
+    Tab: 'TAB'
+};
+
+export function getDefaultBindings() {
+    return structuredClone(DEFAULT_BINDINGS);
+}
+
+// Saved bindings, falling back to the default for anything missing or invalid
+export function loadBindings() {
+    const bindings = getDefaultBindings();
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored === null || typeof stored !== 'object') return bindings;
+        
+        const saved = {};
+        ACTIONS.forEach((action) => {
+            const keys = stored[action.id];
+            if (Array.isArray(keys) && keys.length === SLOTS
+                && keys.every(key => key === null || typeof key === 'string')
+                && keys.some(key => key !== null)) {
+                saved[action.id] = keys;
+            }
+        });
+        
+        // Two saved actions sharing a key means the data was tampered with
+        if (hasDuplicateKeys(saved)) return bindings;
+        
+        // Saved keys win over the defaults of actions added since they were
+        // saved (e.g. player two's) - those lose the colliding key
+        const savedKeys = Object.values(saved).flat();
+        ACTIONS.forEach((action) => {
+            bindings[action.id] = saved[action.id]
+                || bindings[action.id].map(key => (savedKeys.includes(key) ? null : key));
+        });
+        return bindings;
+    } catch (error) {
+        // Corrupt or blocked storage - use the defaults
+        return getDefaultBindings();
+    }
+}
+
+export function saveBindings(bindings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+    } catch (error) {
+        console.error('Could not save key bindings:', error);
+    }
+}
+
+function hasDuplicateKeys(bindings) {
+    const keys = Object.values(bindings).flat().filter(key => key !== null);
+    return new Set(keys).size !== keys.length;
+}
+
+// The action bound to a KeyboardEvent.code, or null
+export function getActionForKey(bindings, code) {
+    const action = ACTIONS.find(action => bindings[action.id].includes(code));
+    return action ? action.id : null;
+}
+
+// Why `code` can't go in the slot, or null if it can
+export function findConflict(bindings, action, slot, code) {
+    if (RESERVED_KEYS[code]) {
+        return `${formatKey(code)} IS RESERVED FOR ${RESERVED_KEYS[code]}`;
+    }
+    const owner = ACTIONS.find(other => other.id !== action && bindings[other.id].includes(code));
+    if (owner) {
+        return `${formatKey(code)} IS ALREADY BOUND TO ${owner.label}`;
+    }
+    if (bindings[action][1 - slot] === code) {
+        return `${formatKey(code)} IS ALREADY BOUND TO THIS ACTION`;
+    }
+    return null;
+}
+
+// code: null clears the slot. Throws if the binding is not allowed - check
+// with findConflict first.
+export function setBinding(bindings, action, slot, code) {
+    if (code !== null) {
+        const conflict = findConflict(bindings, action, slot, code);
+        if (conflict) throw new Error(conflict);
+    } else if (bindings[action][1 - slot] === null) {
+        throw new Error('Every action needs at least one key');
+    }
+    bindings[action][slot] = code;
+}
+
+// 'KeyA' -> 'A', 'Digit5' -> '5', 'ArrowLeft' -> '←'
+export function formatKey(code) {
+    if (code === null) return '-';
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    if (/^Numpad/.test(code)) return 'NUM ' + code.slice(6).toUpperCase();
+    return code.toUpperCase();
+}
+
+// Every key bound to the action, e.g. 'P/ESC', or '-' when it has none
+export function describeAction(bindings, action) {
+    const keys = bindings[action].filter(code => code !== null);
+    return keys.length > 0 ? keys.map(formatKey).join('/') : formatKey(null);
+}
@@ -0,0 +1,111 @@
+// ============================================================================
+// COLLISION
+// ============================================================================
+// Hit volumes live on the XZ plane - everything in the game flies at about
+// the same height. A volume is a list of parts:
+//
+//   { shape: 'circle', x, z, radius }
+//   { shape: 'box', x, z, halfWidth, halfDepth } - axis-aligned
+//
+// In the shape tables x/z are offsets from the entity. placeParts moves them
+// to where the entity is. Extra fields (e.g. a boss weak point) ride along.
+
+// Parts moved to an entity's position and scaled with it
+export function placeParts(parts, x, z, scale = 1) {
+    return parts.map((part) => {
+        const placed = { ...part, x: x + part.x * scale, z: z + part.z * scale };
+        if (part.shape === 'circle') {
+            placed.radius = part.radius * scale;
+        } else {
+            placed.halfWidth = part.halfWidth * scale;
+            placed.halfDepth = part.halfDepth * scale;
+        }
+        return placed;
+    });
+}
+
+// { minX, maxX, minZ, maxZ } around every part
+export function getBounds(parts) {
+    const bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+    parts.forEach((part) => {
+        const halfWidth = part.shape === 'circle' ? part.radius : part.halfWidth;
+        const halfDepth = part.shape === 'circle' ? part.radius : part.halfDepth;
+        bounds.minX = Math.min(bounds.minX, part.x - halfWidth);
+        bounds.maxX = Math.max(bounds.maxX, part.x + halfWidth);
+        bounds.minZ = Math.min(bounds.minZ, part.z - halfDepth);
+        bounds.maxZ = Math.max(bounds.maxZ, part.z + halfDepth);
+    });
+    return bounds;
+}
+
+export function partsOverlap(a, b) {
+    if (a.shape === 'circle' && b.shape === 'circle') {
+        const dx = a.x - b.x;
+        const dz = a.z - b.z;
+        const reach = a.radius + b.radius;
+        return dx * dx + dz * dz < reach * reach;
+    }
+    if (a.shape === 'box' && b.shape === 'box') {
+        return Math.abs(a.x - b.x) < a.halfWidth + b.halfWidth
+            && Math.abs(a.z - b.z) < a.halfDepth + b.halfDepth;
+    }
+    
+    // Circle against box - distance to the closest point of the box
+    const circle = a.shape === 'circle' ? a : b;
+    const box = a.shape === 'circle' ? b : a;
+    const dx = circle.x - Math.max(box.x - box.halfWidth, Math.min(circle.x, box.x + box.halfWidth));
+    const dz = circle.z - Math.max(box.z - box.halfDepth, Math.min(circle.z, box.z + box.halfDepth));
+    return dx * dx + dz * dz < circle.radius * circle.radius;
+}
+
+// The first part of `target` that touches any part of `parts`, or null.
+// List the parts that matter most (e.g. weak points) first.
+export function findOverlap(parts, target) {
+    return target.find(targetPart => parts.some(part => partsOverlap(part, targetPart))) || null;
+}
+
+// ============================================================================
+// BROAD PHASE
+// ============================================================================
+// A uniform grid, rebuilt every tick. Only items sharing a cell get the exact
+// test, instead of every pair.
+export function createGrid(cellSize) {
+    return {
+        cellSize: cellSize,
+        cells: new Map() // "column,row" -> items
+    };
+}
+
+export function insertIntoGrid(grid, item, bounds) {
+    forEachCell(grid, bounds, (key) => {
+        if (!grid.cells.has(key)) {
+            grid.cells.set(key, []);
+        }
+        grid.cells.get(key).push(item);
+    });
+}
+
+// Every item in the cells the bounds touch, each once
+export function queryGrid(grid, bounds) {
+    const found = new Set();
+    forEachCell(grid, bounds, (key) => {
+        const items = grid.cells.get(key);
+        if (items) {
+            items.forEach(item => found.add(item));
+        }
+    });
+    return [...found];
+}
+
+function forEachCell(grid, bounds, callback) {
+    const minColumn = Math.floor(bounds.minX / grid.cellSize);
+    const maxColumn = Math.floor(bounds.maxX / grid.cellSize);
+    const minRow = Math.floor(bounds.minZ / grid.cellSize);
+    const maxRow = Math.floor(bounds.maxZ / grid.cellSize);
+    
+    for (let column = minColumn; column <= maxColumn; column++) {
+        for (let row = minRow; row <= maxRow; row++) {
+            callback(`${column},${row}`);
+        }
+    }
+}
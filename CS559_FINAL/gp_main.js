@@ -1,86 +1,384 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-
-// ============================================================================
-// GAME CONFIGURATION
-// ============================================================================
-const CONFIG = {
-    // Player settings
-    playerSpeed: 0.22,
-    playerBounds: 14,
-    playerZ: 5,
-    
-    // Bullet settings
-    bulletSpeed: 0.6,
-    bulletRadius: 0.2,
-    bulletColor: 0xff6600,
-    shootCooldown: 238, // milliseconds (5% faster)
-    
-    // Alien grid settings
-    alienBaseCount: 12, // Starting number of aliens
-    alienSpacingX: 4,
-    alienSpacingZ: 5,
-    alienStartZ: -25,
-    alienStartY: 0,
-    alienSpeed: 0.054, // Speed aliens move toward player
-    alienRandomOffset: 1.5, // Random position offset for uneven look
-    alienHitDistance: 1.5, // How close alien needs to be to hit player
-    alienHitRadius: 1.8, // Radius for bullet collision detection
-    aliensPerWaveMin: 1, // Min extra aliens per wave
-    aliensPerWaveMax: 1, // Max extra aliens per wave (always 1)
-    
-    // Player lives
-    maxLives: 5,
-    
-    // Scoring
-    pointsPerAlien: 100,
-    
-    // Starfield
-    starCount: 2000,
-    starFieldRadius: 100
+import {
+    CONFIG,
+    ENEMY_TYPES,
+    getEnemyType,
+    createSimulation,
+    step,
+    takeEvents,
+    getExposedWeakPoints,
+    isEffectActive,
+    getActiveEffects,
+    isAbilityReady,
+    isTimeSlowed,
+    getHitVolumes
+} from './simulation.js';
+import { WEAPONS, getWeapon } from './weapons.js';
+import { ABILITIES, DEFAULT_ABILITY, getAbility } from './abilities.js';
+import { createRng, nextRandom, randomSeed, formatSeed, parseSeed } from './random.js';
+import {
+    createPool,
+    acquire,
+    release,
+    retirePool,
+    getShared,
+    disposeObject,
+    disposeMaterials
+} from './resources.js';
+import {
+    EMITTERS,
+    createParticleSystem,
+    resizeParticles,
+    emitParticles,
+    emitParticlesOverTime,
+    updateParticles,
+    clearParticles,
+    setParticleDensity
+} from './particles.js';
+import {
+    MUSIC,
+    createAudioEngine,
+    unlockAudio,
+    setAudioSetting,
+    pauseAudio,
+    resumeAudio,
+    playSound,
+    startLaserHum,
+    stopLaserHum,
+    startMusic,
+    stopMusic,
+    updateMusic
+} from './audio.js';
+import {
+    createInput,
+    setHeld,
+    pressAbility,
+    pickWeapon,
+    releaseInput,
+    takeInput,
+    pollGamepad,
+    connectGamepad,
+    disconnectGamepad
+} from './input.js';
+import {
+    ACTIONS,
+    SLOTS,
+    loadBindings,
+    saveBindings,
+    getDefaultBindings,
+    getActionForKey,
+    setBinding,
+    formatKey,
+    describeAction
+} from './bindings.js';
+import {
+    SHADOW_MAP_SIZES,
+    loadGraphicsSettings,
+    saveGraphicsSettings,
+    getQuality,
+    setQualityValue,
+    createFrameMonitor,
+    recordFrameTime,
+    getLowerPreset
+} from './graphics.js';
+import { createAssetCache, loadAssets } from './assets.js';
+import {
+    GROUP_TYPES,
+    WAVE_FORMATIONS,
+    PLACEMENT_AREA,
+    parseWaveFile,
+    checkWaves,
+    createWave,
+    serializeWaveFile
+} from './waves.js';
+import {
+    createRecorder,
+    recordInput,
+    finishRecording,
+    serializeReplay,
+    parseReplay,
+    createReplayPlayer,
+    stepReplay,
+    seekReplay,
+    isReplayFinished,
+    verifyReplay
+} from './replay.js';
+import {
+    loadHighScores,
+    saveHighScores,
+    qualifiesForHighScore,
+    addHighScore,
+    normalizeInitials,
+    exportHighScores,
+    importHighScores
+} from './leaderboard.js';
+
+// ============================================================================
+// VIEW CONFIGURATION
+// ============================================================================
+// Gameplay settings live in simulation.js - these only affect visuals.
+// Player bullet visuals come with each weapon in weapons.js.
+const VIEW_CONFIG = {
+    // Enemy projectile settings
+    enemyBulletRadius: 0.25,
+    enemyBulletColor: 0xff00cc,
+    
+    // Power-ups - colour and HUD name per type
+    powerUpColors: {
+        spread: 0xffaa00,
+        rapid: 0xff4444,
+        pierce: 0x44aaff,
+        shield: 0x44ffaa,
+        life: 0xff66aa,
+        recharge: 0x00ddff
+    },
+    powerUpNames: {
+        spread: 'SPREAD',
+        rapid: 'RAPID FIRE',
+        pierce: 'PIERCING',
+        shield: 'SHIELD'
+    },
+    
+    // Particles - the most alive at once, and where the exhaust leaves each ship
+    maxParticles: 3000,
+    engineOffsets: [
+        { x: -0.3, y: 0, z: 1 },
+        { x: 0.3, y: 0, z: 1 }
+    ],
+    
+    // Player two's ship is tinted toward this colour, matching their HUD line
+    playerTwoTint: 0xffcc33,
+    
+    // Debug drawing of hit volumes (H) - colour per kind of entity
+    hitVolumeColors: {
+        player: 0x00ff88,
+        alien: 0xff4444,
+        weakPoint: 0x66ff66,
+        bullet: 0xffff00,
+        enemyBullet: 0xff00ff,
+        powerUp: 0x00ffff
+    },
+    hitVolumeSegments: 24, // Line segments per circle
+    hitVolumeMaxVertices: 40000,
+    
+    // Destroyed aliens shrink and fade over this long
+    alienDeathDuration: 300, // milliseconds
+    
+    // Floating score numbers
+    scorePopupDuration: 900, // milliseconds
+    scorePopupRise: 60, // pixels
+    
+    // Wave clear tally - delay between lines, then how long it stays up
+    tallyLineDelay: 350,
+    tallyHoldTime: 1200,
+    
+    // Short notices, e.g. "controller connected"
+    noticeDuration: 2500, // milliseconds
+    
+    // Starfield - the star count is a graphics setting (graphics.js)
+    starFieldRadius: 100,
+    
+    // Seconds between shooting stars at normal frequency
+    shootingStarInterval: { min: 2, max: 5 },
+    
+    // Wave editor - top-down camera, placement grid and the preview's seed
+    editorCameraHeight: 62,
+    editorGridSpacing: 2,
+    editorGridColor: 0x225544,
+    editorFrontColor: 0x00ff88, // Front of the formation and the player's line
+    editorPickRadius: 1.5, // Right clicks remove the closest alien this near
+    editorPreviewSeed: 1
+};
+
+// ============================================================================
+// ASSET MANIFEST
+// ============================================================================
+// Full mode loads these files, prototype mode builds every model from
+// primitives. A file that fails to load is reported and built instead.
+// Aliens get one entry per enemy type, from the type's model.
+
+// Builders enemy types can name in their model. Builders of unique models
+// are handed the alien they are for.
+const ALIEN_BUILDERS = {
+    alien: buildFallbackAlien,
+    charger: buildChargerAlien,
+    boss: buildBossAlien
 };
 
+const ASSET_MANIFEST = {
+    ship: { url: null, scale: 1, build: buildPlaceholderShip } // No model file - always primitive
+};
+Object.entries(ENEMY_TYPES).forEach(([type, enemy]) => {
+    // Unique models are built as each alien spawns
+    if (enemy.model.unique) return;
+    ASSET_MANIFEST[type] = {
+        url: enemy.model.url,
+        scale: enemy.model.scale,
+        build: ALIEN_BUILDERS[enemy.model.builder]
+    };
+});
+
 // ============================================================================
 // GAME STATE
 // ============================================================================
 let scene, camera, renderer;
-let playerShip = null;
-let aliens = [];
-let bullets = [];
+let sunLight = null; // Casts the shadows
+let starfield = null;
+let shipModel = null; // The mode's ship template, cloned for each player
 let shootingStars = [];
-let score = 0;
-let wave = 1;
-let lives = 5;
-let lastShootTime = 0;
-let waveTransitioning = false;
-let gameOver = false;
-let gameStarted = false;
+let nextShootingStar = 0; // Seconds until the next one
+let paused = false;
+
+// Simulation state for the current run (null on the start screen)
+let sim = null;
+
+// Scene objects mirroring simulation entities, keyed by entity id
+const alienMeshes = new Map();
+const bulletMeshes = new Map();
+const enemyBulletMeshes = new Map();
+const powerUpMeshes = new Map();
+
+// Each player's ship and what their abilities and power-ups add around it,
+// by player index: { ship, laserBeam, shieldBubble, cloneShip }, null where
+// there is none
+const playerObjects = [];
+
+// Recycled scene objects (see resources.js). Model pools hold copies of the
+// loaded alien models and are retired when the mode switches models.
+const meshPools = new Map(); // Bullets, projectiles and power-ups
+const modelPools = new Map(); // Aliens, one pool per alien type
+const sharedResources = new Map(); // Geometries and materials used by pooled objects
+
+// Every particle effect (see particles.js), and destroyed aliens still
+// shrinking away: { mesh, startScale, startTime }
+let particles = null;
+let dyingAliens = [];
+
+// Debug outlines of every hit volume, shown with H
+let hitVolumeLines = null;
+
+// Floating score numbers over destroyed aliens: { element, startTime }
+let scorePopups = [];
+
+// Sound effects and music
+const audio = createAudioEngine();
+
+// Replays - every live run is recorded, and a loaded replay can be played back
+let recorder = null;
+let lastReplay = null;
+let replayPlayer = null; // Set while watching a replay
+let replayPlaying = false;
+let replaySpeed = 1;
+let replayTickBudget = 0;
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+const REPLAY_SEEK_SECONDS = 5;
+
+// High score table, and the finished run waiting for initials
+let highScores = [];
+let pendingHighScore = null;
+
+// Game clock - only advances while a run is active and not paused
+let gameTime = 0; // milliseconds
+let gameTimers = [];
+
+// Fixed-timestep loop
+const FIXED_TIMESTEP = 1 / 60; // seconds per simulation tick
+const MAX_FRAME_DELTA = 0.25; // seconds - clamp long frames (e.g. after a tab switch)
+let lastFrameTime = null;
+let accumulator = 0;
+let animationFrameId = null;
 
 // Game mode: 'prototype' or 'full'
 let gameMode = 'prototype';
 
-// Laser state
-let laserAvailable = false;
-let laserActive = false;
-let laserBeam = null;
-let laserLastUsedWave = 0; // Track when laser was last used
-const LASER_INTERVAL = 5; // Available every 5 waves
-const LASER_DURATION = 1500; // 1.5 seconds
-
-// Input state
-const keys = {
-    left: false,
-    right: false,
-    shoot: false,
-    laser: false
+// Keyboard, touch and gamepad input, merged into one command per tick. The
+// second player in co-op only has their own keys.
+const input = createInput();
+const playerTwoInput = createInput();
+let noticeTimer = null;
+
+// Graphics quality, and frame times watched by auto quality
+const graphicsSettings = loadGraphicsSettings();
+const frameMonitor = createFrameMonitor();
+
+// Keyboard bindings, and the slot waiting for a new key in the controls menu
+let bindings = loadBindings();
+let rebinding = null; // { action, slot }
+
+// Ability and number of players picked on the start screen for the next run
+let selectedAbility = DEFAULT_ABILITY;
+let selectedPlayers = 1;
+
+// Cosmetic randomness (stars, particles) - kept apart from the seeded
+// gameplay stream so effects never change wave layouts
+const cosmeticRng = createRng(randomSeed());
+
+// Last values written to the HUD, so the DOM is only touched on change
+const hudState = {
+    score: null,
+    wave: null,
+    lives: null,
+    ability: null,
+    coop: null,
+    coopPlayers: null,
+    boss: null,
+    effects: null,
+    weapon: null,
+    combo: null
 };
 
-// Loaders
-const gltfLoader = new GLTFLoader();
+// Every model loaded or built this session, and the latest load request
+const assetCache = createAssetCache();
+let assetLoadId = 0;
+
+// Model templates for the current mode (cloned for instances), by alien type
+const alienModels = new Map();
+
+// Authored waves from the wave file - null plays generated waves only
+let authoredWaves = null;
+
+// Runs can't start until both have loaded
+let modelsReady = false;
+let wavesReady = false;
+
+// Wave editor - the waves being edited (null while closed), the one on show
+// and the enemy type clicks place
+let editorWaves = null;
+let editorWaveIndex = 0;
+let editorPlaceType = GROUP_TYPES[0];
+let editorPreviewing = false;
+let editorTopView = true;
+let editorGrid = null;
+
+// ============================================================================
+// GAME CLOCK & TIMERS
+// ============================================================================
+// Replacement for setTimeout that runs on game time, so pausing freezes it
+function setGameTimeout(callback, delay) {
+    gameTimers.push({ time: gameTime + delay, callback: callback });
+}
+
+function updateGameTimers() {
+    // Pull due timers out first - callbacks may schedule new ones
+    const dueTimers = gameTimers.filter(timer => timer.time <= gameTime);
+    gameTimers = gameTimers.filter(timer => timer.time > gameTime);
+    dueTimers.forEach(timer => timer.callback());
+}
+
+function clearGameTimers() {
+    gameTimers = [];
+}
+
+function isGameRunning() {
+    return sim !== null && !sim.gameOver && !paused && !isWaveEditorOpen();
+}
 
-// Model templates (loaded once, cloned for instances)
-let alienModel = null;
-let chargerAlienModel = null;
+// ============================================================================
+// COSMETIC RANDOMNESS
+// ============================================================================
+function cosmeticRandom() {
+    return nextRandom(cosmeticRng);
+}
 
 // ============================================================================
 // INITIALIZATION
@@ -97,31 +395,77 @@ function init() {
         0.1,
         1000
     );
-    camera.position.set(0, 8, 12);
-    camera.lookAt(0, 0, -5);
+    placeGameCamera();
     
     // Create renderer
     renderer = new THREE.WebGLRenderer({ antialias: true });
     renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(window.devicePixelRatio);
-    renderer.shadowMap.enabled = true;
     renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     document.getElementById('game-container').appendChild(renderer.domElement);
     
     // Setup lighting
     setupLighting();
     
-    // Create starfield background
-    createStarfield();
+    // Particle effects all share one object
+    particles = createParticleSystem(VIEW_CONFIG.maxParticles);
+    scene.add(particles.points);
+    
+    // Pixel ratio, shadows, stars and effect density from the saved settings
+    applyGraphics();
+    
+    // Hit volume outlines for debugging, hidden until toggled
+    createHitVolumeLines();
     
-    // Load models and start game
+    // Load models
     loadModels();
     
+    // Authored waves
+    loadWaveFile();
+    
+    // Start the game loop (game doesn't start until button clicked)
+    startGameLoop();
+    
     // Setup input handlers
     setupInputHandlers();
     
+    // Prefill the seed from the URL (?seed=...)
+    setupSeedInput();
+    
+    // Replay save/load and playback controls
+    setupReplayControls();
+    
+    // High score table and initials entry
+    setupHighScores();
+    
+    // Ability picker on the start screen
+    setupAbilitySelect();
+    setupPlayerSelect();
+    
+    // Mute and volume controls
+    setupAudioSettings();
+    
+    // Graphics quality presets and custom settings
+    setupGraphicsMenu();
+    
+    // Wave editor with its grid and preview
+    setupWaveEditor();
+    
     // Handle window resize
     window.addEventListener('resize', onWindowResize);
+    
+    // Pause automatically when the tab is hidden
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            pauseGame();
+        }
+    });
+}
+
+// Behind and above the player
+function placeGameCamera() {
+    camera.up.set(0, 1, 0);
+    camera.position.set(0, 8, 12);
+    camera.lookAt(0, 0, -5);
 }
 
 // ============================================================================
@@ -135,10 +479,8 @@ function setupLighting() {
     // Main directional light (sun-like)
     const directionalLight = new THREE.DirectionalLight(0xffffff, 1.0);
     directionalLight.position.set(5, 10, 5);
-    directionalLight.castShadow = true;
-    directionalLight.shadow.mapSize.width = 2048;
-    directionalLight.shadow.mapSize.height = 2048;
     scene.add(directionalLight);
+    sunLight = directionalLight; // Shadows are set up by applyGraphics
     
     // Accent light from below (space glow effect)
     const bottomLight = new THREE.DirectionalLight(0x4444ff, 0.3);
@@ -154,23 +496,29 @@ function setupLighting() {
 // ============================================================================
 // STARFIELD BACKGROUND
 // ============================================================================
-function createStarfield() {
+// Replaces the current starfield, if any
+function createStarfield(starCount) {
+    if (starfield) {
+        scene.remove(starfield);
+        disposeObject(starfield);
+    }
+    
     const geometry = new THREE.BufferGeometry();
-    const positions = new Float32Array(CONFIG.starCount * 3);
-    const colors = new Float32Array(CONFIG.starCount * 3);
+    const positions = new Float32Array(starCount * 3);
+    const colors = new Float32Array(starCount * 3);
     
-    for (let i = 0; i < CONFIG.starCount; i++) {
+    for (let i = 0; i < starCount; i++) {
         // Random position on a sphere
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(2 * Math.random() - 1);
-        const radius = CONFIG.starFieldRadius + Math.random() * 50;
+        const theta = cosmeticRandom() * Math.PI * 2;
+        const phi = Math.acos(2 * cosmeticRandom() - 1);
+        const radius = VIEW_CONFIG.starFieldRadius + cosmeticRandom() * 50;
         
         positions[i * 3] = radius * Math.sin(phi) * Math.cos(theta);
         positions[i * 3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
         positions[i * 3 + 2] = radius * Math.cos(phi);
         
         // Varying star colors (white to blue-ish)
-        const colorVariation = Math.random();
+        const colorVariation = cosmeticRandom();
         colors[i * 3] = 0.8 + colorVariation * 0.2;
         colors[i * 3 + 1] = 0.8 + colorVariation * 0.2;
         colors[i * 3 + 2] = 1.0;
@@ -187,12 +535,8 @@ function createStarfield() {
         sizeAttenuation: true
     });
     
-    const starfield = new THREE.Points(geometry, material);
+    starfield = new THREE.Points(geometry, material);
     scene.add(starfield);
-    
-    // Start spawning shooting stars
-    spawnShootingStar();
-    setInterval(spawnShootingStar, 2000 + Math.random() * 3000); // Spawn every 2-5 seconds
 }
 
 // ============================================================================
@@ -202,20 +546,20 @@ function spawnShootingStar() {
     // Shooting stars appear even on start screen for ambiance
     
     // Start from left or right side of screen
-    const startFromLeft = Math.random() > 0.5;
+    const startFromLeft = cosmeticRandom() > 0.5;
     const startX = startFromLeft ? -25 : 25;
-    const startY = 5 + Math.random() * 8; // Random height
-    const startZ = -15 - Math.random() * 10; // Behind camera
+    const startY = 5 + cosmeticRandom() * 8; // Random height
+    const startZ = -15 - cosmeticRandom() * 10; // Behind camera
     
-    // Speed and angle for horizontal movement
-    const speed = 0.4 + Math.random() * 0.3;
-    const slantAngle = -0.3 - Math.random() * 0.2; // Downward slant (negative Y)
+    // Speed (units per second) and angle for horizontal movement
+    const speed = 24 + cosmeticRandom() * 18;
+    const slantAngle = -0.3 - cosmeticRandom() * 0.2; // Downward slant (negative Y)
     
     // Create shooting star with trail
     const starGroup = new THREE.Group();
     
-    // Main bright star
-    const starGeometry = new THREE.SphereGeometry(0.15, 6, 6);
+    // Main bright star - geometry is shared, materials fade per star
+    const starGeometry = getShared(sharedResources, 'shootingStarGeometry', () => new THREE.SphereGeometry(0.15, 6, 6));
     const starMaterial = new THREE.MeshBasicMaterial({
         color: 0xffffff,
         emissive: 0xffffff,
@@ -226,7 +570,7 @@ function spawnShootingStar() {
     
     // Trail - long glowing line (horizontal/slanted)
     const trailLength = 4;
-    const trailGeometry = new THREE.CylinderGeometry(0.02, 0.05, trailLength, 6);
+    const trailGeometry = getShared(sharedResources, 'shootingStarTrailGeometry', () => new THREE.CylinderGeometry(0.02, 0.05, trailLength, 6));
     const trailMaterial = new THREE.MeshBasicMaterial({
         color: 0x88ccff,
         transparent: true,
@@ -243,7 +587,7 @@ function spawnShootingStar() {
     starGroup.add(trail);
     
     // Outer glow
-    const glowGeometry = new THREE.SphereGeometry(0.3, 8, 8);
+    const glowGeometry = getShared(sharedResources, 'shootingStarGlowGeometry', () => new THREE.SphereGeometry(0.3, 8, 8));
     const glowMaterial = new THREE.MeshBasicMaterial({
         color: 0x88ccff,
         transparent: true,
@@ -253,7 +597,8 @@ function spawnShootingStar() {
     const glow = new THREE.Mesh(glowGeometry, glowMaterial);
     starGroup.add(glow);
     
-    starGroup.position.set(startX, startY, startZ);
+    const position = new THREE.Vector3(startX, startY, startZ);
+    starGroup.position.copy(position);
     
     // Calculate velocity - primarily horizontal with slight downward slant
     const horizontalDir = startFromLeft ? 1 : -1; // Left to right or right to left
@@ -267,33 +612,49 @@ function spawnShootingStar() {
     
     shootingStars.push({
         mesh: starGroup,
+        position: position,
+        prevPosition: position.clone(),
         velocity: velocity,
         life: 1.0
     });
 }
 
-function updateShootingStars() {
+function updateShootingStars(dt) {
+    // Spawn on a random interval, shortened or stretched by the frequency setting
+    const frequency = getQuality(graphicsSettings).shootingStarFrequency;
+    nextShootingStar -= dt;
+    if (frequency > 0 && nextShootingStar <= 0) {
+        spawnShootingStar();
+        const interval = VIEW_CONFIG.shootingStarInterval;
+        nextShootingStar = (interval.min + cosmeticRandom() * (interval.max - interval.min)) / frequency;
+    }
+    
+    // Opacity keeps ~55% per second (1% per frame at 60Hz)
+    const fade = Math.pow(0.55, dt);
+    
     for (let i = shootingStars.length - 1; i >= 0; i--) {
         const shootingStar = shootingStars[i];
         const mesh = shootingStar.mesh;
         
-        // Move shooting star
-        mesh.position.add(shootingStar.velocity);
+        // Move shooting star (mesh is placed at render time)
+        shootingStar.prevPosition.copy(shootingStar.position);
+        shootingStar.position.addScaledVector(shootingStar.velocity, dt);
         
-        // Fade out over time
-        shootingStar.life -= 0.01;
+        // Fade out over time (fully faded after ~1.7 seconds)
+        shootingStar.life -= 0.6 * dt;
         mesh.children.forEach((child) => {
             if (child.material) {
-                child.material.opacity *= 0.99;
+                child.material.opacity *= fade;
             }
         });
         
         // Remove if off screen or faded out
-        if (mesh.position.y < -10 || 
-            mesh.position.z > 20 || 
+        if (shootingStar.position.y < -10 || 
+            shootingStar.position.z > 20 || 
             shootingStar.life <= 0 ||
-            Math.abs(mesh.position.x) > 30) { // Off screen horizontally
+            Math.abs(shootingStar.position.x) > 30) { // Off screen horizontally
             scene.remove(mesh);
+            disposeMaterials(mesh);
             shootingStars.splice(i, 1);
         }
     }
@@ -302,130 +663,157 @@ function updateShootingStars() {
 // ============================================================================
 // MODEL LOADING
 // ============================================================================
-function loadModels() {
-    if (gameMode === 'prototype') {
-        // PROTOTYPE MODE: Use only primitive geometries
-        createPlaceholderShip();
-        createFallbackAlien();
-        createChargerAlien();
-    } else {
-        // FULL MODE: Load GLB models
-        let modelsLoaded = 0;
-        const totalModels = 2;
-        
-        function onModelLoaded() {
-            modelsLoaded++;
-            if (modelsLoaded === totalModels) {
-                // All models loaded
-                setupStartButton();
-                animate();
-                return;
+// Load the models for the current mode, showing progress on the start
+// screen. onReady runs once they are all available.
+function loadModels(onReady) {
+    const loadId = ++assetLoadId;
+    const errors = document.getElementById('asset-errors');
+    modelsReady = false;
+    updateStartButton();
+    errors.innerHTML = '';
+    document.getElementById('loading').classList.add('visible');
+    document.getElementById('loading-bar-fill').style.width = '0%';
+    document.getElementById('loading-text').textContent = 'LOADING';
+    
+    loadAssets(ASSET_MANIFEST, assetCache, gameMode === 'full', {
+        onProgress: (loaded, total) => {
+            if (loadId === assetLoadId) {
+                showLoadingProgress(loaded, total);
             }
+        },
+        onError: (id, url, error) => {
+            console.error(`Could not load ${id} model from ${url}:`, error);
+            if (loadId !== assetLoadId) return;
+            
+            const line = document.createElement('div');
+            line.textContent = `${id.toUpperCase()}: ${url} FAILED TO LOAD - USING BUILT-IN MODEL`;
+            errors.appendChild(line);
+        },
+        onDone: (assets) => {
+            // A mode switch started a newer load
+            if (loadId !== assetLoadId) return;
+            
+            useAssets(assets);
+            document.getElementById('loading').classList.remove('visible');
+            modelsReady = true;
+            updateStartButton();
+            setupStartButton();
+            if (onReady) onReady();
         }
-        
-        // Load ship model
-        gltfLoader.load(
-            'models/ship.glb',
-            (gltf) => {
-                playerShip = gltf.scene;
-                playerShip.position.set(0, 0, CONFIG.playerZ);
-                playerShip.scale.set(1, 1, 1);
-                playerShip.traverse((child) => {
-                    if (child.isMesh) {
-                        child.castShadow = true;
-                        child.receiveShadow = true;
-                    }
-                });
-                scene.add(playerShip);
-                onModelLoaded();
-            },
-            undefined,
-            (error) => {
-                console.error('Error loading ship model:', error);
-                // Fallback to placeholder if model fails
-                createPlaceholderShip();
-                onModelLoaded();
-            }
-        );
-        
-        // Load alien model
-        gltfLoader.load(
-            'models/Alien.glb',
-            (gltf) => {
-                alienModel = gltf.scene;
-                alienModel.scale.set(1, 1, 1);
-                // Create charger alien (always use primitive for charger)
-                createChargerAlien();
-                onModelLoaded();
-            },
-            undefined,
-            (error) => {
-                console.error('Error loading alien model:', error);
-                // Fallback to placeholder if model fails
-                createFallbackAlien();
-                createChargerAlien(); // Use charger as fallback too
-                onModelLoaded();
+    });
+}
+
+function showLoadingProgress(loaded, total) {
+    document.getElementById('loading-bar-fill').style.width = `${Math.round(loaded / total * 100)}%`;
+    document.getElementById('loading-text').textContent = `LOADING ${loaded}/${total}`;
+}
+
+function updateStartButton() {
+    document.getElementById('start-btn').disabled = !(modelsReady && wavesReady);
+}
+
+// ============================================================================
+// WAVE FILE
+// ============================================================================
+const WAVE_FILE_URL = 'waves.json';
+
+// Fetch the authored waves. A missing or broken file is reported on the
+// start screen and runs fall back to generated waves.
+function loadWaveFile() {
+    wavesReady = false;
+    updateStartButton();
+    
+    fetch(WAVE_FILE_URL)
+        .then((response) => {
+            if (!response.ok) {
+                throw new Error(`${WAVE_FILE_URL} could not be loaded (HTTP ${response.status})`);
             }
-        );
-        
-        return; // Don't continue with prototype setup
-    }
-    
-    // Setup start button (for prototype mode)
-    setupStartButton();
-    
-    // Start render loop (but game doesn't start until button clicked)
-    animate();
+            return response.text();
+        })
+        .then((text) => {
+            authoredWaves = parseWaveFile(text);
+        })
+        .catch((error) => {
+            console.error('Could not use the wave file:', error);
+            authoredWaves = null;
+            showWaveErrors(error.message.split('\n'));
+        })
+        .finally(() => {
+            wavesReady = true;
+            updateStartButton();
+        });
+}
+
+function showWaveErrors(problems) {
+    const errors = document.getElementById('wave-errors');
+    errors.innerHTML = '';
+    
+    [`${WAVE_FILE_URL.toUpperCase()} HAS PROBLEMS - USING GENERATED WAVES`, ...problems].forEach((text) => {
+        const line = document.createElement('div');
+        line.textContent = text;
+        errors.appendChild(line);
+    });
 }
 
-function switchGameMode(mode) {
+// Put the mode's models in place - ships and aliens are cloned from their
+// templates as they come into play
+function useAssets(assets) {
+    shipModel = assets.ship;
+    
+    Object.keys(ENEMY_TYPES).forEach((type) => {
+        if (assets[type]) {
+            alienModels.set(type, assets[type]);
+        }
+    });
+}
+
+function switchGameMode(mode, onReady) {
     if (gameMode === mode) return;
     
     gameMode = mode;
     
     // Clear current game state
-    if (playerShip) {
-        scene.remove(playerShip);
-        playerShip = null;
-    }
-    aliens.forEach(alien => scene.remove(alien.mesh));
-    aliens = [];
-    bullets.forEach(bullet => scene.remove(bullet));
-    bullets = [];
-    if (laserBeam) {
-        scene.remove(laserBeam);
-        laserBeam = null;
-    }
+    stopReplay();
+    clearSceneEntities();
+    removePlayerShips();
+    shipModel = null;
+    disposeModels();
     
     // Reset game state
-    score = 0;
-    wave = 1;
-    lives = CONFIG.maxLives;
-    gameOver = false;
-    gameStarted = false;
-    laserAvailable = false;
-    laserActive = false;
-    laserLastUsedWave = 0;
+    sim = null;
+    paused = false;
+    clearGameTimers();
+    
+    // The editor stays open and shows its wave with the new models
+    const editing = isWaveEditorOpen();
+    if (editing) {
+        setEditorPreviewing(false);
+    }
     
     // Reload models in new mode
-    loadModels();
+    loadModels(editing ? resetEditorPreview : onReady);
     
     // Update UI
-    updateScoreDisplay();
-    updateWaveDisplay();
-    updateLivesDisplay();
-    updateLaserDisplay();
     document.getElementById('game-over').classList.remove('visible');
-    document.getElementById('start-screen').classList.remove('hidden');
+    document.getElementById('pause-menu').classList.remove('visible');
+    document.getElementById('start-screen').classList.toggle('hidden', editing);
     
     // Update button states
     document.getElementById('prototype-btn').classList.toggle('active', mode === 'prototype');
     document.getElementById('full-btn').classList.toggle('active', mode === 'full');
 }
 
+// Free every alien copied from the current models - the new mode uses its
+// own. The templates stay in the asset cache for the next switch back.
+function disposeModels() {
+    modelPools.forEach(retirePool);
+    modelPools.clear();
+    alienModels.clear();
+}
+
 // Placeholder ship geometry
-function createPlaceholderShip() {
-    playerShip = new THREE.Group();
+function buildPlaceholderShip() {
+    const ship = new THREE.Group();
     
     // Main body - sleek fuselage
     const bodyGeometry = new THREE.ConeGeometry(0.4, 2, 6);
@@ -436,7 +824,7 @@ function createPlaceholderShip() {
     });
     const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
     body.rotation.x = Math.PI / 2;
-    playerShip.add(body);
+    ship.add(body);
     
     // Cockpit
     const cockpitGeometry = new THREE.SphereGeometry(0.25, 8, 6);
@@ -449,7 +837,7 @@ function createPlaceholderShip() {
     const cockpit = new THREE.Mesh(cockpitGeometry, cockpitMaterial);
     cockpit.position.set(0, 0.15, 0.3);
     cockpit.scale.set(1, 0.6, 1);
-    playerShip.add(cockpit);
+    ship.add(cockpit);
     
     // Left wing
     const wingGeometry = new THREE.BoxGeometry(1.5, 0.08, 0.6);
@@ -460,13 +848,13 @@ function createPlaceholderShip() {
     const leftWing = new THREE.Mesh(wingGeometry, wingMaterial);
     leftWing.position.set(-0.6, 0, 0.2);
     leftWing.rotation.z = -0.15;
-    playerShip.add(leftWing);
+    ship.add(leftWing);
     
     // Right wing
     const rightWing = new THREE.Mesh(wingGeometry, wingMaterial);
     rightWing.position.set(0.6, 0, 0.2);
     rightWing.rotation.z = 0.15;
-    playerShip.add(rightWing);
+    ship.add(rightWing);
     
     // Engine glow left
     const engineGeometry = new THREE.CylinderGeometry(0.1, 0.15, 0.3, 8);
@@ -476,28 +864,27 @@ function createPlaceholderShip() {
     const leftEngine = new THREE.Mesh(engineGeometry, engineMaterial);
     leftEngine.position.set(-0.3, 0, 0.9);
     leftEngine.rotation.x = Math.PI / 2;
-    playerShip.add(leftEngine);
+    ship.add(leftEngine);
     
     // Engine glow right
     const rightEngine = new THREE.Mesh(engineGeometry, engineMaterial);
     rightEngine.position.set(0.3, 0, 0.9);
     rightEngine.rotation.x = Math.PI / 2;
-    playerShip.add(rightEngine);
+    ship.add(rightEngine);
     
     // Enable shadows
-    playerShip.traverse((child) => {
+    ship.traverse((child) => {
         if (child.isMesh) {
             child.castShadow = true;
             child.receiveShadow = true;
         }
     });
     
-    playerShip.position.set(0, 0, CONFIG.playerZ);
-    scene.add(playerShip);
+    return ship;
 }
 
-function createFallbackAlien() {
-    alienModel = new THREE.Group();
+function buildFallbackAlien() {
+    const alien = new THREE.Group();
     
     // Color palette - eerie green alien aesthetic
     const bodyColor = 0x44dd66;
@@ -516,7 +903,7 @@ function createFallbackAlien() {
     });
     const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
     body.scale.set(1, 0.8, 0.7);
-    alienModel.add(body);
+    alien.add(body);
     
     // Forehead ridge / cranium bump
     const craniumGeometry = new THREE.SphereGeometry(0.4, 10, 8);
@@ -529,7 +916,7 @@ function createFallbackAlien() {
     const cranium = new THREE.Mesh(craniumGeometry, craniumMaterial);
     cranium.position.set(0, 0.35, 0);
     cranium.scale.set(1.2, 0.6, 0.8);
-    alienModel.add(cranium);
+    alien.add(cranium);
     
     // Left eye - large menacing
     const eyeGeometry = new THREE.SphereGeometry(0.18, 10, 10);
@@ -541,30 +928,30 @@ function createFallbackAlien() {
     });
     const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
     leftEye.position.set(-0.25, 0.1, 0.45);
-    alienModel.add(leftEye);
+    alien.add(leftEye);
     
     // Right eye
     const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial.clone());
     rightEye.position.set(0.25, 0.1, 0.45);
-    alienModel.add(rightEye);
+    alien.add(rightEye);
     
     // Eye pupils - dark centers
     const pupilGeometry = new THREE.SphereGeometry(0.08, 8, 8);
     const pupilMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
     const leftPupil = new THREE.Mesh(pupilGeometry, pupilMaterial);
     leftPupil.position.set(-0.25, 0.1, 0.55);
-    alienModel.add(leftPupil);
+    alien.add(leftPupil);
     
     const rightPupil = new THREE.Mesh(pupilGeometry, pupilMaterial.clone());
     rightPupil.position.set(0.25, 0.1, 0.55);
-    alienModel.add(rightPupil);
+    alien.add(rightPupil);
     
     // Mouth - sinister slit
     const mouthGeometry = new THREE.BoxGeometry(0.3, 0.05, 0.1);
     const mouthMaterial = new THREE.MeshBasicMaterial({ color: 0x001100 });
     const mouth = new THREE.Mesh(mouthGeometry, mouthMaterial);
     mouth.position.set(0, -0.2, 0.5);
-    alienModel.add(mouth);
+    alien.add(mouth);
     
     // Left tentacle/arm
     const tentacleMaterial = new THREE.MeshStandardMaterial({
@@ -577,26 +964,26 @@ function createFallbackAlien() {
     const leftTentacle = new THREE.Mesh(tentacleGeometry, tentacleMaterial);
     leftTentacle.position.set(-0.55, -0.25, 0);
     leftTentacle.rotation.z = 0.5;
-    alienModel.add(leftTentacle);
+    alien.add(leftTentacle);
     
     // Left tentacle claw
     const clawGeometry = new THREE.ConeGeometry(0.1, 0.25, 6);
     const leftClaw = new THREE.Mesh(clawGeometry, tentacleMaterial.clone());
     leftClaw.position.set(-0.75, -0.5, 0);
     leftClaw.rotation.z = 0.8;
-    alienModel.add(leftClaw);
+    alien.add(leftClaw);
     
     // Right tentacle/arm
     const rightTentacle = new THREE.Mesh(tentacleGeometry, tentacleMaterial.clone());
     rightTentacle.position.set(0.55, -0.25, 0);
     rightTentacle.rotation.z = -0.5;
-    alienModel.add(rightTentacle);
+    alien.add(rightTentacle);
     
     // Right tentacle claw
     const rightClaw = new THREE.Mesh(clawGeometry, tentacleMaterial.clone());
     rightClaw.position.set(0.75, -0.5, 0);
     rightClaw.rotation.z = -0.8;
-    alienModel.add(rightClaw);
+    alien.add(rightClaw);
     
     // Lower tentacles (dangling)
     const lowerTentacleGeometry = new THREE.CylinderGeometry(0.05, 0.08, 0.5, 6);
@@ -604,16 +991,16 @@ function createFallbackAlien() {
     const lowerLeft = new THREE.Mesh(lowerTentacleGeometry, tentacleMaterial.clone());
     lowerLeft.position.set(-0.25, -0.6, 0);
     lowerLeft.rotation.z = 0.2;
-    alienModel.add(lowerLeft);
+    alien.add(lowerLeft);
     
     const lowerRight = new THREE.Mesh(lowerTentacleGeometry, tentacleMaterial.clone());
     lowerRight.position.set(0.25, -0.6, 0);
     lowerRight.rotation.z = -0.2;
-    alienModel.add(lowerRight);
+    alien.add(lowerRight);
     
     const lowerCenter = new THREE.Mesh(lowerTentacleGeometry, tentacleMaterial.clone());
     lowerCenter.position.set(0, -0.65, 0.1);
-    alienModel.add(lowerCenter);
+    alien.add(lowerCenter);
     
     // Antennae
     const antennaGeometry = new THREE.CylinderGeometry(0.02, 0.03, 0.4, 6);
@@ -625,12 +1012,12 @@ function createFallbackAlien() {
     const leftAntenna = new THREE.Mesh(antennaGeometry, antennaMaterial);
     leftAntenna.position.set(-0.2, 0.65, 0);
     leftAntenna.rotation.z = 0.3;
-    alienModel.add(leftAntenna);
+    alien.add(leftAntenna);
     
     const rightAntenna = new THREE.Mesh(antennaGeometry, antennaMaterial.clone());
     rightAntenna.position.set(0.2, 0.65, 0);
     rightAntenna.rotation.z = -0.3;
-    alienModel.add(rightAntenna);
+    alien.add(rightAntenna);
     
     // Antenna tips - glowing orbs
     const antennaTipGeometry = new THREE.SphereGeometry(0.06, 8, 8);
@@ -640,19 +1027,20 @@ function createFallbackAlien() {
     
     const leftTip = new THREE.Mesh(antennaTipGeometry, antennaTipMaterial);
     leftTip.position.set(-0.32, 0.82, 0);
-    alienModel.add(leftTip);
+    alien.add(leftTip);
     
     const rightTip = new THREE.Mesh(antennaTipGeometry, antennaTipMaterial.clone());
     rightTip.position.set(0.32, 0.82, 0);
-    alienModel.add(rightTip);
+    alien.add(rightTip);
     
     // Scale the whole alien
-    alienModel.scale.set(1.2, 1.2, 1.2);
+    alien.scale.set(1.2, 1.2, 1.2);
+    return alien;
 }
 
 // Charger alien - red, angry, bigger, needs 2 hits
-function createChargerAlien() {
-    chargerAlienModel = new THREE.Group();
+function buildChargerAlien() {
+    const charger = new THREE.Group();
     
     // Color palette - angry red/purple
     const bodyColor = 0xcc2244;
@@ -671,7 +1059,7 @@ function createChargerAlien() {
     });
     const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
     body.scale.set(1.1, 0.9, 0.8);
-    chargerAlienModel.add(body);
+    charger.add(body);
     
     // Armored head ridge
     const craniumGeometry = new THREE.SphereGeometry(0.5, 10, 8);
@@ -684,7 +1072,7 @@ function createChargerAlien() {
     const cranium = new THREE.Mesh(craniumGeometry, craniumMaterial);
     cranium.position.set(0, 0.4, 0);
     cranium.scale.set(1.3, 0.5, 0.9);
-    chargerAlienModel.add(cranium);
+    charger.add(cranium);
     
     // Angry eyes - yellow glowing
     const eyeGeometry = new THREE.SphereGeometry(0.22, 10, 10);
@@ -696,11 +1084,11 @@ function createChargerAlien() {
     });
     const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
     leftEye.position.set(-0.3, 0.15, 0.5);
-    chargerAlienModel.add(leftEye);
+    charger.add(leftEye);
     
     const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial.clone());
     rightEye.position.set(0.3, 0.15, 0.5);
-    chargerAlienModel.add(rightEye);
+    charger.add(rightEye);
     
     // Angry eyebrow ridges
     const browGeometry = new THREE.BoxGeometry(0.25, 0.08, 0.15);
@@ -708,19 +1096,19 @@ function createChargerAlien() {
     const leftBrow = new THREE.Mesh(browGeometry, browMaterial);
     leftBrow.position.set(-0.3, 0.35, 0.5);
     leftBrow.rotation.z = 0.3;
-    chargerAlienModel.add(leftBrow);
+    charger.add(leftBrow);
     
     const rightBrow = new THREE.Mesh(browGeometry, browMaterial.clone());
     rightBrow.position.set(0.3, 0.35, 0.5);
     rightBrow.rotation.z = -0.3;
-    chargerAlienModel.add(rightBrow);
+    charger.add(rightBrow);
     
     // Snarling mouth
     const mouthGeometry = new THREE.BoxGeometry(0.4, 0.1, 0.15);
     const mouthMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
     const mouth = new THREE.Mesh(mouthGeometry, mouthMaterial);
     mouth.position.set(0, -0.25, 0.55);
-    chargerAlienModel.add(mouth);
+    charger.add(mouth);
     
     // Teeth
     const toothGeometry = new THREE.ConeGeometry(0.04, 0.12, 4);
@@ -729,7 +1117,7 @@ function createChargerAlien() {
         const tooth = new THREE.Mesh(toothGeometry, toothMaterial.clone());
         tooth.position.set(-0.16 + i * 0.08, -0.22, 0.6);
         tooth.rotation.x = Math.PI;
-        chargerAlienModel.add(tooth);
+        charger.add(tooth);
     }
     
     // Bigger claws
@@ -744,13 +1132,13 @@ function createChargerAlien() {
     leftClaw.position.set(-0.7, -0.3, 0.2);
     leftClaw.rotation.z = 0.8;
     leftClaw.rotation.x = -0.3;
-    chargerAlienModel.add(leftClaw);
+    charger.add(leftClaw);
     
     const rightClaw = new THREE.Mesh(clawGeometry, clawMaterial.clone());
     rightClaw.position.set(0.7, -0.3, 0.2);
     rightClaw.rotation.z = -0.8;
     rightClaw.rotation.x = -0.3;
-    chargerAlienModel.add(rightClaw);
+    charger.add(rightClaw);
     
     // Spiky horns
     const hornGeometry = new THREE.ConeGeometry(0.08, 0.4, 6);
@@ -763,246 +1151,721 @@ function createChargerAlien() {
     const leftHorn = new THREE.Mesh(hornGeometry, hornMaterial);
     leftHorn.position.set(-0.35, 0.7, 0);
     leftHorn.rotation.z = 0.4;
-    chargerAlienModel.add(leftHorn);
+    charger.add(leftHorn);
     
     const rightHorn = new THREE.Mesh(hornGeometry, hornMaterial.clone());
     rightHorn.position.set(0.35, 0.7, 0);
     rightHorn.rotation.z = -0.4;
-    chargerAlienModel.add(rightHorn);
+    charger.add(rightHorn);
     
     // Scale bigger than regular alien
-    chargerAlienModel.scale.set(1.5, 1.5, 1.5);
+    charger.scale.set(1.5, 1.5, 1.5);
+    return charger;
 }
 
-// ============================================================================
-// ALIEN GRID SPAWNING
-// ============================================================================
-function spawnAlienGrid() {
-    // Check laser availability at start of new wave
-    checkLaserAvailability();
-    
-    // Clear existing aliens
-    aliens.forEach(alien => scene.remove(alien.mesh));
-    aliens = [];
-    
-    // Calculate alien count for this wave (base + 1 extra per wave)
-    const extraAliens = wave - 1; // Always add exactly 1 alien per wave
-    const alienCount = CONFIG.alienBaseCount + extraAliens;
+// Boss - a big armoured mothership built fresh for each boss wave.
+// Weak points glow green and line up with CONFIG.bossWeakPoints.
+function buildBossAlien(alien) {
+    const boss = new THREE.Group();
+    
+    // Main hull - wide flattened saucer
+    const hullGeometry = new THREE.SphereGeometry(2.6, 24, 16);
+    const hullMaterial = new THREE.MeshStandardMaterial({
+        color: 0x442266,
+        emissive: 0x110522,
+        roughness: 0.35,
+        metalness: 0.6
+    });
+    const hull = new THREE.Mesh(hullGeometry, hullMaterial);
+    hull.scale.set(1.4, 0.45, 1);
+    boss.add(hull);
+    
+    // Raised command dome
+    const domeGeometry = new THREE.SphereGeometry(1.2, 16, 12, 0, Math.PI * 2, 0, Math.PI / 2);
+    const domeMaterial = new THREE.MeshStandardMaterial({
+        color: 0x8844cc,
+        emissive: 0x220044,
+        roughness: 0.2,
+        metalness: 0.4
+    });
+    const dome = new THREE.Mesh(domeGeometry, domeMaterial);
+    dome.position.set(0, 0.8, -0.4);
+    boss.add(dome);
+    
+    // Armour ring around the rim
+    const ringGeometry = new THREE.TorusGeometry(3.2, 0.18, 8, 32);
+    const ringMaterial = new THREE.MeshStandardMaterial({
+        color: 0x221133,
+        roughness: 0.3,
+        metalness: 0.8
+    });
+    const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+    ring.rotation.x = Math.PI / 2;
+    ring.scale.set(1.15, 0.85, 1);
+    boss.add(ring);
+    
+    // Spikes along the back edge
+    const spikeGeometry = new THREE.ConeGeometry(0.2, 1.2, 6);
+    const spikeMaterial = new THREE.MeshStandardMaterial({
+        color: 0x331144,
+        roughness: 0.3,
+        metalness: 0.7
+    });
+    for (let i = 0; i < 5; i++) {
+        const spike = new THREE.Mesh(spikeGeometry, spikeMaterial.clone());
+        const angle = Math.PI + (i - 2) * 0.35;
+        spike.position.set(Math.sin(angle) * 3.4, 0, Math.cos(angle) * 2.4);
+        spike.rotation.x = -Math.PI / 2;
+        spike.rotation.z = -Math.sin(angle) * 0.8;
+        boss.add(spike);
+    }
     
-    // Calculate grid dimensions based on count
-    const cols = Math.ceil(Math.sqrt(alienCount * 1.5)); // Wider than tall
-    const rows = Math.ceil(alienCount / cols);
+    // Weak points - glowing pods, plus a core that stays shielded at first
+    const weakPointMaterial = new THREE.MeshStandardMaterial({
+        color: 0x66ff66,
+        emissive: 0x22aa22,
+        emissiveIntensity: 2,
+        roughness: 0.2
+    });
+    const weakPoints = CONFIG.bossWeakPoints.map((point) => {
+        const weakPointGeometry = new THREE.SphereGeometry(point.radius * 0.8, 12, 10);
+        const weakPoint = new THREE.Mesh(weakPointGeometry, weakPointMaterial.clone());
+        weakPoint.position.set(point.x, 0.1, point.z);
+        weakPoint.visible = point.phase === 0;
+        boss.add(weakPoint);
+        return weakPoint;
+    });
     
-    const startX = -(cols - 1) * CONFIG.alienSpacingX / 2;
-    const startZ = CONFIG.alienStartZ;
+    // Shield plate covering the core until it opens
+    const shieldGeometry = new THREE.BoxGeometry(1.8, 0.6, 0.4);
+    const shield = new THREE.Mesh(shieldGeometry, ringMaterial.clone());
+    shield.position.set(0, 0.1, 2.2);
+    boss.add(shield);
     
-    let spawned = 0;
+    boss.userData.weakPoints = weakPoints;
+    boss.userData.shield = shield;
+    updateBossWeakPoints(boss, alien);
+    return boss;
+}
+
+// ============================================================================
+// SCENE SYNC
+// ============================================================================
+// Create and remove scene objects so they mirror the simulation entities
+function syncScene() {
+    syncMeshes(sim ? sim.aliens : [], alienMeshes, createAlienMesh);
+    syncMeshes(sim ? sim.bullets : [], bulletMeshes, createBulletMesh);
+    syncMeshes(sim ? sim.enemyBullets : [], enemyBulletMeshes, createEnemyBulletMesh);
+    syncMeshes(sim ? sim.powerUps : [], powerUpMeshes, createPowerUpMesh);
+    syncPlayerObjects();
+}
+
+// Ships and what goes with them, one set per player. The start screen shows
+// player one's ship on its own.
+function syncPlayerObjects() {
+    const players = sim ? sim.players : [null];
+    while (playerObjects.length > players.length) {
+        const objects = playerObjects.pop();
+        removePlayerEffects(objects);
+        removePlayerShip(objects);
+    }
     
-    for (let row = 0; row < rows && spawned < alienCount; row++) {
-        for (let col = 0; col < cols && spawned < alienCount; col++) {
-            const alienClone = alienModel.clone();
-            
-            // Clone materials so each alien has independent materials
-            alienClone.traverse((child) => {
-                if (child.isMesh && child.material) {
-                    child.material = child.material.clone();
-                }
-            });
-            
-            // Base position
-            const baseX = startX + col * CONFIG.alienSpacingX;
-            const baseZ = startZ - row * CONFIG.alienSpacingZ;
-            
-            // Add random offset for uneven look
-            const randomX = (Math.random() - 0.5) * CONFIG.alienRandomOffset * 2;
-            const randomZ = (Math.random() - 0.5) * CONFIG.alienRandomOffset * 2;
-            const randomY = (Math.random() - 0.5) * CONFIG.alienRandomOffset * 0.5;
-            
-            const x = baseX + randomX;
-            const z = baseZ + randomZ;
-            const y = CONFIG.alienStartY + randomY;
-            
-            alienClone.position.set(x, y, z);
-            
-            // Face forward (toward player)
-            alienClone.rotation.y = 0;
-            
-            // Slight random scale variation
-            const scaleVar = 0.9 + Math.random() * 0.2;
-            alienClone.scale.multiplyScalar(scaleVar);
-            
-            // Enable shadows
-            alienClone.traverse((child) => {
-                if (child.isMesh) {
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-                }
-            });
-            
-            scene.add(alienClone);
-            
-            // Create bounding box for collision detection
-            const boundingBox = new THREE.Box3().setFromObject(alienClone);
-            
-            aliens.push({
-                mesh: alienClone,
-                boundingBox: boundingBox,
-                alive: true,
-                health: 1,
-                type: 'normal',
-                isCharging: false
-            });
-            
-            spawned++;
+    players.forEach((player, i) => {
+        if (!playerObjects[i]) {
+            playerObjects[i] = { ship: null, laserBeam: null, shieldBubble: null, cloneShip: null };
+        }
+        const objects = playerObjects[i];
+        
+        // Co-op ships leave once out of lives - a lone ship stays to the end
+        const flying = player === null || !player.out || players.length === 1;
+        if (flying && !objects.ship && shipModel) {
+            createPlayerShip(objects, i);
+        } else if (!flying && objects.ship) {
+            removePlayerShip(objects);
+        }
+        
+        // Laser beam
+        const laserActive = player !== null && player.laser.active;
+        if (laserActive && !objects.laserBeam) {
+            createLaserBeam(objects, player.laser.x);
+        } else if (!laserActive && objects.laserBeam) {
+            removeLaserBeam(objects);
+        }
+        
+        // Wingman from the clone ability
+        const cloneActive = player !== null && player.clone !== null;
+        if (cloneActive && !objects.cloneShip) {
+            createCloneShip(objects, player.clone.x);
+        } else if (!cloneActive && objects.cloneShip) {
+            removeCloneShip(objects);
+        }
+        
+        // Shield bubble around the ship
+        const shieldActive = player !== null && !player.out && isEffectActive(sim, player, 'shield');
+        if (shieldActive && !objects.shieldBubble) {
+            createShieldBubble(objects);
+        } else if (!shieldActive && objects.shieldBubble) {
+            removeShieldBubble(objects);
         }
+    });
+}
+
+// Player two flies a tinted copy so the ships can be told apart
+function createPlayerShip(objects, index) {
+    const ship = shipModel.clone();
+    if (index > 0) {
+        const tint = new THREE.Color(VIEW_CONFIG.playerTwoTint);
+        ship.traverse((child) => {
+            if (child.isMesh && child.material && child.material.color) {
+                child.material = child.material.clone();
+                child.material.color.lerp(tint, 0.6);
+            }
+        });
+        ship.userData.ownMaterials = true;
     }
+    ship.position.set(0, 0, CONFIG.playerZ);
+    scene.add(ship);
+    objects.ship = ship;
+}
+
+function removePlayerShip(objects) {
+    if (!objects.ship) return;
     
-    // Spawn charger aliens starting from wave 3
-    // Wave 3: 1 charger, Wave 4: 1, Wave 5: 1, Wave 6: 2, Wave 7: 2, Wave 8: 2, Wave 9: 3, etc.
-    if (wave >= 3 && chargerAlienModel) {
-        const chargerCount = Math.floor((wave - 3) / 3) + 1;
-        for (let i = 0; i < chargerCount; i++) {
-            spawnChargerAlien(i);
+    scene.remove(objects.ship);
+    if (objects.ship.userData.ownMaterials) {
+        disposeMaterials(objects.ship); // Geometry belongs to the template
+    }
+    objects.ship = null;
+}
+
+// Every ship, e.g. before the mode switches models
+function removePlayerShips() {
+    playerObjects.forEach(removePlayerShip);
+}
+
+// Beams, wingmen and shields
+function removePlayerEffects(objects) {
+    removeLaserBeam(objects);
+    removeShieldBubble(objects);
+    removeCloneShip(objects);
+}
+
+// Give each entity a mesh and drop meshes whose entity is gone
+function syncMeshes(entities, meshes, createMesh) {
+    const aliveIds = new Set();
+    entities.forEach((entity) => {
+        aliveIds.add(entity.id);
+        if (!meshes.has(entity.id)) {
+            meshes.set(entity.id, createMesh(entity));
+        }
+    });
+    meshes.forEach((mesh, id) => {
+        if (!aliveIds.has(id)) {
+            releaseMesh(mesh);
+            meshes.delete(id);
         }
+    });
+}
+
+// Hand out a pooled object, building a new one only when the pool is empty
+function acquireMesh(pools, key, build, dispose = null) {
+    const pool = getShared(pools, key, () => createPool(build, dispose));
+    const mesh = acquire(pool);
+    mesh.userData.pool = pool;
+    return mesh;
+}
+
+// Take an object out of the scene - back to its pool, or freed for good if
+// it was built as a one-off
+function releaseMesh(mesh) {
+    scene.remove(mesh);
+    if (mesh.userData.pool) {
+        release(mesh.userData.pool, mesh);
+    } else {
+        disposeObject(mesh);
     }
 }
 
-function spawnChargerAlien(index = 0) {
-    const chargerClone = chargerAlienModel.clone();
+// Remove every entity object, e.g. when a run ends or restarts. Pooled
+// objects wait for the next run, everything else is disposed.
+function clearSceneEntities() {
+    alienMeshes.forEach(releaseMesh);
+    alienMeshes.clear();
+    bulletMeshes.forEach(releaseMesh);
+    bulletMeshes.clear();
+    enemyBulletMeshes.forEach(releaseMesh);
+    enemyBulletMeshes.clear();
+    powerUpMeshes.forEach(releaseMesh);
+    powerUpMeshes.clear();
+    dyingAliens.forEach(dying => releaseMesh(dying.mesh));
+    dyingAliens = [];
+    clearParticles(particles);
+    playerObjects.forEach(removePlayerEffects);
+    clearScorePopups();
+    document.getElementById('wave-tally').classList.remove('visible');
+}
+
+function createAlienMesh(alien) {
+    const model = getEnemyType(alien.type).model;
+    if (model.unique) {
+        const uniqueMesh = ALIEN_BUILDERS[model.builder](alien);
+        uniqueMesh.position.set(alien.x, alien.y, alien.z);
+        scene.add(uniqueMesh);
+        return uniqueMesh;
+    }
     
-    // Clone materials so each charger has independent materials
-    chargerClone.traverse((child) => {
+    const template = alienModels.get(alien.type);
+    const alienClone = acquireMesh(modelPools, alien.type, () => cloneAlienModel(template), disposeMaterials);
+    
+    // A recycled alien may still be faded, tinted or spinning from its last life
+    alienClone.traverse((child) => {
         if (child.isMesh && child.material) {
-            child.material = child.material.clone();
+            child.material.copy(child.userData.baseMaterial);
+            child.material.needsUpdate = true;
         }
     });
     
-    // Spawn at spread X positions, far back
-    const spreadX = (index - 0.5) * 6; // Spread chargers apart
-    const x = spreadX + (Math.random() - 0.5) * 3;
-    const z = CONFIG.alienStartZ - 8 - (index * 3);
-    const y = CONFIG.alienStartY;
+    alienClone.position.set(alien.x, alien.y, alien.z);
     
-    chargerClone.position.set(x, y, z);
-    chargerClone.rotation.y = 0;
+    // Face forward (toward player)
+    alienClone.rotation.set(0, 0, 0);
     
-    // Enable shadows
-    chargerClone.traverse((child) => {
-        if (child.isMesh) {
+    // Slight random scale variation
+    alienClone.scale.copy(template.scale).multiplyScalar(alien.scale);
+    
+    scene.add(alienClone);
+    return alienClone;
+}
+
+// Geometry is shared with the model, materials are copied so each alien can
+// flash and fade on its own
+function cloneAlienModel(template) {
+    const alienClone = template.clone();
+    
+    alienClone.traverse((child) => {
+        if (child.isMesh && child.material) {
+            child.userData.baseMaterial = child.material;
+            child.material = child.material.clone();
+            
+            // Enable shadows
             child.castShadow = true;
             child.receiveShadow = true;
         }
     });
     
-    scene.add(chargerClone);
+    return alienClone;
+}
+
+// Orbs, or bolts for weapons with a visual length
+function createBulletMesh(bullet) {
+    const bulletMesh = acquireMesh(meshPools, `bullet:${bullet.weapon}`, () => buildBulletMesh(bullet.weapon));
+    bulletMesh.position.set(bullet.x, bullet.y, bullet.z);
+    
+    // Point along the direction of travel
+    bulletMesh.rotation.y = Math.atan2(bullet.vx, bullet.vz);
     
-    const boundingBox = new THREE.Box3().setFromObject(chargerClone);
+    scene.add(bulletMesh);
+    return bulletMesh;
+}
+
+// Every bullet of a weapon shares its geometry and materials
+function buildBulletMesh(weaponId) {
+    const visuals = getWeapon(weaponId).visuals;
+    
+    const bulletGeometry = getShared(sharedResources, `bulletGeometry:${weaponId}`, () => (visuals.length > 0
+        ? new THREE.CapsuleGeometry(visuals.radius, visuals.length, 4, 8).rotateX(Math.PI / 2)
+        : new THREE.SphereGeometry(visuals.radius, 8, 8)));
+    const bulletMaterial = getShared(sharedResources, `bulletMaterial:${weaponId}`, () => new THREE.MeshBasicMaterial({
+        color: visuals.color,
+        emissive: visuals.color
+    }));
+    const bulletMesh = new THREE.Mesh(bulletGeometry, bulletMaterial);
     
-    aliens.push({
-        mesh: chargerClone,
-        boundingBox: boundingBox,
-        alive: true,
-        health: 2,
-        type: 'charger',
-        isCharging: false,
-        chargeSpeed: CONFIG.alienSpeed * 4 // 4x speed when charging
-    });
+    // Add glow effect
+    const glowGeometry = getShared(sharedResources, `bulletGlowGeometry:${weaponId}`, () => (visuals.length > 0
+        ? bulletGeometry.clone().scale(2, 2, 1.2)
+        : bulletGeometry.clone().scale(2, 2, 2)));
+    const glowMaterial = getShared(sharedResources, `bulletGlowMaterial:${weaponId}`, () => new THREE.MeshBasicMaterial({
+        color: visuals.color,
+        transparent: true,
+        opacity: 0.3
+    }));
+    const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+    bulletMesh.add(glow);
+    
+    return bulletMesh;
+}
+
+// Enemy projectiles - spiky magenta orbs with a streak pointing back at the shooter
+function createEnemyBulletMesh(projectile) {
+    const projectileMesh = acquireMesh(meshPools, 'enemyBullet', buildEnemyBulletMesh);
+    projectileMesh.rotation.y = Math.atan2(projectile.vx, projectile.vz);
+    projectileMesh.position.set(projectile.x, projectile.y, projectile.z);
+    scene.add(projectileMesh);
+    return projectileMesh;
+}
+
+function buildEnemyBulletMesh() {
+    const projectileMesh = new THREE.Group();
+    
+    const coreGeometry = getShared(sharedResources, 'enemyBulletCoreGeometry', () => new THREE.OctahedronGeometry(VIEW_CONFIG.enemyBulletRadius, 0));
+    const coreMaterial = getShared(sharedResources, 'enemyBulletCoreMaterial', () => new THREE.MeshBasicMaterial({
+        color: VIEW_CONFIG.enemyBulletColor
+    }));
+    const core = new THREE.Mesh(coreGeometry, coreMaterial);
+    projectileMesh.add(core);
+    
+    // Glow
+    const glowGeometry = getShared(sharedResources, 'enemyBulletGlowGeometry', () => new THREE.SphereGeometry(VIEW_CONFIG.enemyBulletRadius * 2, 8, 8));
+    const glowMaterial = getShared(sharedResources, 'enemyBulletGlowMaterial', () => new THREE.MeshBasicMaterial({
+        color: VIEW_CONFIG.enemyBulletColor,
+        transparent: true,
+        opacity: 0.35
+    }));
+    const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+    projectileMesh.add(glow);
+    
+    // Trail - along local Z, turned to face the direction of travel
+    const trailLength = 1.2;
+    const trailGeometry = getShared(sharedResources, 'enemyBulletTrailGeometry', () => new THREE.CylinderGeometry(0.02, 0.1, trailLength, 6));
+    const trailMaterial = getShared(sharedResources, 'enemyBulletTrailMaterial', () => new THREE.MeshBasicMaterial({
+        color: VIEW_CONFIG.enemyBulletColor,
+        transparent: true,
+        opacity: 0.5
+    }));
+    const trail = new THREE.Mesh(trailGeometry, trailMaterial);
+    trail.rotation.x = -Math.PI / 2;
+    trail.position.z = -trailLength / 2;
+    projectileMesh.add(trail);
+    
+    return projectileMesh;
+}
+
+// Power-ups - a spinning gem inside a ring, coloured by type
+function createPowerUpMesh(powerUp) {
+    const group = acquireMesh(meshPools, `powerUp:${powerUp.type}`, () => buildPowerUpMesh(powerUp.type));
+    group.position.set(powerUp.x, powerUp.y, powerUp.z);
+    
+    scene.add(group);
+    return group;
+}
+
+function buildPowerUpMesh(type) {
+    const color = VIEW_CONFIG.powerUpColors[type];
+    const group = new THREE.Group();
+    
+    const gemGeometry = getShared(sharedResources, 'powerUpGemGeometry', () => new THREE.OctahedronGeometry(0.45));
+    const gemMaterial = getShared(sharedResources, `powerUpGemMaterial:${type}`, () => new THREE.MeshBasicMaterial({ color: color }));
+    const gem = new THREE.Mesh(gemGeometry, gemMaterial);
+    group.add(gem);
+    
+    const ringGeometry = getShared(sharedResources, 'powerUpRingGeometry', () => new THREE.TorusGeometry(0.75, 0.06, 8, 24));
+    const ringMaterial = getShared(sharedResources, `powerUpRingMaterial:${type}`, () => new THREE.MeshBasicMaterial({
+        color: color,
+        transparent: true,
+        opacity: 0.6
+    }));
+    const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+    group.add(ring);
+    
+    return group;
 }
 
 // ============================================================================
-// INPUT HANDLING
+// SIMULATION EVENTS
 // ============================================================================
-function setupInputHandlers() {
-    document.addEventListener('keydown', (event) => {
-        switch (event.code) {
-            case 'ArrowLeft':
-            case 'KeyA':
-                keys.left = true;
+function handleSimEvents() {
+    takeEvents(sim).forEach((event) => {
+        switch (event.type) {
+            case 'waveStarted':
+                playSound(audio, 'waveStart');
+                showWaveAnnouncement(event.wave, event.boss);
                 break;
-            case 'ArrowRight':
-            case 'KeyD':
-                keys.right = true;
+            case 'reinforcementsArrived':
+                showNotice('REINFORCEMENTS INCOMING');
                 break;
-            case 'Space':
-                event.preventDefault();
-                keys.shoot = true;
+            case 'shotFired':
+                playSound(audio, 'fire');
                 break;
-            case 'KeyQ':
-                event.preventDefault();
-                keys.laser = true;
+            case 'alienDamaged':
+                playSound(audio, 'alienHit');
+                damageAlien(event.alien, event.weakPoint);
                 break;
-        }
-    });
-    
-    document.addEventListener('keyup', (event) => {
-        switch (event.code) {
-            case 'ArrowLeft':
-            case 'KeyA':
-                keys.left = false;
+            case 'chargerEnraged':
+                playSound(audio, 'chargerEnrage');
+                break;
+            case 'alienKilled':
+                playSound(audio, 'alienDeath');
+                if (getEnemyType(event.alien.type).model.death === 'bigExplosion') {
+                    destroyBoss(event.alien, event.points);
+                } else {
+                    showScorePopup(event.alien, event.points, event.multiplier);
+                    destroyAlien(event.alien);
+                }
+                break;
+            case 'comboMultiplierUp':
+                pulseComboDisplay();
+                break;
+            case 'waveCleared':
+                showWaveTally(event);
+                break;
+            case 'bossPhaseChanged':
+                bossPhaseChanged(event.alien);
+                break;
+            case 'playerHit':
+                playSound(audio, 'playerDamage');
+                playerHit(event);
                 break;
-            case 'ArrowRight':
-            case 'KeyD':
-                keys.right = false;
+            case 'shieldHit':
+                shieldHit(event);
                 break;
-            case 'Space':
-                keys.shoot = false;
+            case 'playerOut':
+                playerOut(event.player);
                 break;
-            case 'KeyQ':
-                keys.laser = false;
+            case 'powerUpCollected':
+                powerUpCollected(event.powerUp);
+                break;
+            case 'bombDetonated':
+                flashScreen('rgba(255, 255, 255, 0.6)');
+                break;
+            case 'gameOver':
+                stopMusic(audio);
+                stopLaserHum(audio);
+                playSound(audio, 'gameOver');
+                
+                // A replay or an editor preview simply stops at the end of the run
+                if (!replayPlayer && !isWaveEditorOpen()) {
+                    lastReplay = finishRecording(recorder, { score: sim.score, wave: sim.wave });
+                    triggerGameOver();
+                }
                 break;
         }
     });
-    
-    // Mobile touch controls
-    setupMobileControls();
-    
-    // Mode toggle buttons
-    setupModeToggle();
 }
 
-function setupMobileControls() {
-    const leftBtn = document.getElementById('left-btn');
-    const rightBtn = document.getElementById('right-btn');
-    const shootBtn = document.getElementById('shoot-btn');
-    
-    // Left button
-    leftBtn.addEventListener('touchstart', (e) => {
-        e.preventDefault();
-        keys.left = true;
-    });
-    leftBtn.addEventListener('touchend', (e) => {
-        e.preventDefault();
-        keys.left = false;
-    });
-    leftBtn.addEventListener('mousedown', () => keys.left = true);
-    leftBtn.addEventListener('mouseup', () => keys.left = false);
-    leftBtn.addEventListener('mouseleave', () => keys.left = false);
+function getAlienPosition(alien) {
+    return new THREE.Vector3(alien.x, alien.y, alien.z);
+}
+
+// ============================================================================
+// INPUT HANDLING
+// ============================================================================
+function setupInputHandlers() {
+    document.addEventListener('keydown', (event) => {
+        // Let text fields (e.g. the seed) receive their own keys
+        if (event.target.tagName === 'INPUT') return;
+        
+        // Browsers only start sound after the player interacts
+        unlockAudio(audio);
+        
+        // Settings menus take every key while they are open
+        if (isControlsMenuOpen()) {
+            handleControlsMenuKey(event);
+            return;
+        }
+        if (isGraphicsMenuOpen()) {
+            if (event.code === 'Escape') {
+                closeGraphicsMenu();
+            }
+            return;
+        }
+        
+        // So does the wave editor - there is nothing to steer
+        if (isWaveEditorOpen()) {
+            if (event.code === 'Escape') {
+                closeWaveEditor();
+            }
+            return;
+        }
+        
+        switch (getActionForKey(bindings, event.code)) {
+            case 'left':
+                setHeld(input, 'keyboard', 'left', true);
+                break;
+            case 'right':
+                setHeld(input, 'keyboard', 'right', true);
+                break;
+            case 'shoot':
+                event.preventDefault();
+                setHeld(input, 'keyboard', 'shoot', true);
+                break;
+            case 'ability':
+                event.preventDefault();
+                if (isGameRunning()) {
+                    pressAbility(input);
+                }
+                break;
+            case 'left2':
+                setHeld(playerTwoInput, 'keyboard', 'left', true);
+                break;
+            case 'right2':
+                setHeld(playerTwoInput, 'keyboard', 'right', true);
+                break;
+            case 'shoot2':
+                setHeld(playerTwoInput, 'keyboard', 'shoot', true);
+                break;
+            case 'ability2':
+                if (isGameRunning()) {
+                    pressAbility(playerTwoInput);
+                }
+                break;
+            case 'weapon2':
+                if (isGameRunning() && sim.players.length > 1) {
+                    cycleWeapon(playerTwoInput, sim.players[1], 1);
+                }
+                break;
+            case 'pause':
+                event.preventDefault();
+                togglePause();
+                break;
+            case 'mute':
+                setAudioSetting(audio, 'muted', !audio.settings.muted);
+                updateAudioSettingsDisplay();
+                break;
+        }
+        
+        // Fixed keys
+        switch (event.code) {
+            case 'Digit1':
+            case 'Digit2':
+            case 'Digit3':
+            case 'Digit4':
+            case 'Digit5':
+            case 'Digit6':
+            case 'Digit7': {
+                // Number keys pick a weapon slot
+                const slot = Number(event.code.slice(5));
+                if (isGameRunning() && slot <= WEAPONS.length) {
+                    pickWeapon(input, slot);
+                }
+                break;
+            }
+            case 'KeyH':
+                toggleHitVolumes();
+                break;
+        }
+    });
+    
+    document.addEventListener('keyup', (event) => {
+        switch (getActionForKey(bindings, event.code)) {
+            case 'left':
+                setHeld(input, 'keyboard', 'left', false);
+                break;
+            case 'right':
+                setHeld(input, 'keyboard', 'right', false);
+                break;
+            case 'shoot':
+                setHeld(input, 'keyboard', 'shoot', false);
+                break;
+            case 'left2':
+                setHeld(playerTwoInput, 'keyboard', 'left', false);
+                break;
+            case 'right2':
+                setHeld(playerTwoInput, 'keyboard', 'right', false);
+                break;
+            case 'shoot2':
+                setHeld(playerTwoInput, 'keyboard', 'shoot', false);
+                break;
+        }
+    });
+    
+    // Mobile touch controls
+    setupMobileControls();
+    
+    // Controllers can be plugged in and out at any time
+    setupGamepads();
     
-    // Right button
-    rightBtn.addEventListener('touchstart', (e) => {
+    // Mode toggle buttons
+    setupModeToggle();
+    
+    // Pause menu buttons
+    setupPauseMenu();
+    
+    // Rebinding screen and the key hints that follow it
+    setupControlsMenu();
+}
+
+function setupMobileControls() {
+    bindTouchButton(document.getElementById('left-btn'), 'left');
+    bindTouchButton(document.getElementById('right-btn'), 'right');
+    bindTouchButton(document.getElementById('shoot-btn'), 'shoot');
+}
+
+// Hold `action` while the button is touched or clicked
+function bindTouchButton(button, action) {
+    button.addEventListener('touchstart', (e) => {
         e.preventDefault();
-        keys.right = true;
+        setHeld(input, 'touch', action, true);
     });
-    rightBtn.addEventListener('touchend', (e) => {
+    button.addEventListener('touchend', (e) => {
         e.preventDefault();
-        keys.right = false;
+        setHeld(input, 'touch', action, false);
+    });
+    button.addEventListener('mousedown', () => setHeld(input, 'touch', action, true));
+    button.addEventListener('mouseup', () => setHeld(input, 'touch', action, false));
+    button.addEventListener('mouseleave', () => setHeld(input, 'touch', action, false));
+}
+
+function setupGamepads() {
+    window.addEventListener('gamepadconnected', (event) => {
+        connectGamepad(input, event.gamepad);
+        showNotice('CONTROLLER CONNECTED');
     });
-    rightBtn.addEventListener('mousedown', () => keys.right = true);
-    rightBtn.addEventListener('mouseup', () => keys.right = false);
-    rightBtn.addEventListener('mouseleave', () => keys.right = false);
     
-    // Shoot button
-    shootBtn.addEventListener('touchstart', (e) => {
-        e.preventDefault();
-        keys.shoot = true;
+    window.addEventListener('gamepaddisconnected', (event) => {
+        if (disconnectGamepad(input, event.gamepad)) {
+            showNotice('CONTROLLER DISCONNECTED');
+            pauseGame();
+        }
     });
-    shootBtn.addEventListener('touchend', (e) => {
-        e.preventDefault();
-        keys.shoot = false;
+}
+
+// Called every frame - gamepads have no button events, only their state
+function updateGamepad() {
+    const pressed = pollGamepad(input);
+    
+    // Menu buttons would act on the screen behind a settings menu or the editor
+    if (isControlsMenuOpen() || isGraphicsMenuOpen() || isWaveEditorOpen()) return;
+    
+    pressed.forEach((action) => {
+        switch (action) {
+            case 'pause':
+                // Start also starts a run from the title screen
+                if (sim) {
+                    togglePause();
+                } else {
+                    startGame();
+                }
+                break;
+            case 'ability':
+                if (isGameRunning()) {
+                    pressAbility(input);
+                }
+                break;
+            case 'previousWeapon':
+            case 'nextWeapon':
+                if (isGameRunning()) {
+                    cycleWeapon(input, sim.players[0], action === 'nextWeapon' ? 1 : -1);
+                }
+                break;
+        }
     });
-    shootBtn.addEventListener('mousedown', () => keys.shoot = true);
-    shootBtn.addEventListener('mouseup', () => keys.shoot = false);
-    shootBtn.addEventListener('mouseleave', () => keys.shoot = false);
+}
+
+// Pick the weapon after (direction 1) or before (-1) the player's current one
+function cycleWeapon(playerInput, player, direction) {
+    const current = WEAPONS.findIndex(weapon => weapon.id === player.weapon);
+    pickWeapon(playerInput, (current + direction + WEAPONS.length) % WEAPONS.length + 1);
+}
+
+function showNotice(message) {
+    const notice = document.getElementById('notice');
+    notice.textContent = message;
+    notice.classList.add('visible');
+    
+    // Real time, so the notice also clears on the start screen and while paused
+    clearTimeout(noticeTimer);
+    noticeTimer = setTimeout(() => notice.classList.remove('visible'), VIEW_CONFIG.noticeDuration);
 }
 
 function setupModeToggle() {
@@ -1015,130 +1878,356 @@ function setupModeToggle() {
     });
 }
 
+function setupPauseMenu() {
+    document.getElementById('resume-btn').addEventListener('click', resumeGame);
+    
+    document.getElementById('pause-restart-btn').addEventListener('click', restartGame);
+    
+    document.getElementById('quit-btn').addEventListener('click', quitToTitle);
+}
+
 // ============================================================================
-// PLAYER MOVEMENT
+// CONTROLS MENU
 // ============================================================================
-function updatePlayer() {
-    if (!playerShip) return;
+function setupControlsMenu() {
+    document.getElementById('controls-btn').addEventListener('click', openControlsMenu);
+    document.getElementById('pause-controls-btn').addEventListener('click', openControlsMenu);
+    
+    document.getElementById('controls-reset-btn').addEventListener('click', () => {
+        bindings = getDefaultBindings();
+        saveBindings(bindings);
+        rebinding = null;
+        showControlsMessage('CONTROLS RESET TO DEFAULTS', false);
+        renderControlsMenu();
+        updateControlsHints();
+    });
+    
+    document.getElementById('controls-done-btn').addEventListener('click', closeControlsMenu);
+    
+    updateControlsHints();
+}
+
+function isControlsMenuOpen() {
+    return document.getElementById('controls-menu').classList.contains('visible');
+}
+
+function openControlsMenu() {
+    // Held keys may be rebound before their keyup arrives
+    releaseInput(input);
+    releaseInput(playerTwoInput);
+    
+    rebinding = null;
+    showControlsMessage('', false);
+    renderControlsMenu();
+    document.getElementById('controls-menu').classList.add('visible');
+}
+
+function closeControlsMenu() {
+    rebinding = null;
+    document.getElementById('controls-menu').classList.remove('visible');
+}
+
+// One row per action with a button for each key slot
+function renderControlsMenu() {
+    const body = document.getElementById('controls-body');
+    body.innerHTML = '';
+    
+    ACTIONS.forEach((action) => {
+        const row = document.createElement('tr');
+        const label = document.createElement('td');
+        label.textContent = action.label;
+        row.appendChild(label);
+        
+        for (let slot = 0; slot < SLOTS; slot++) {
+            const cell = document.createElement('td');
+            const button = document.createElement('button');
+            const waiting = rebinding !== null && rebinding.action === action.id && rebinding.slot === slot;
+            button.textContent = waiting ? 'PRESS A KEY' : formatKey(bindings[action.id][slot]);
+            button.classList.toggle('waiting', waiting);
+            button.addEventListener('click', () => {
+                rebinding = { action: action.id, slot: slot };
+                showControlsMessage('ESC TO CANCEL, BACKSPACE TO CLEAR', false);
+                renderControlsMenu();
+            });
+            cell.appendChild(button);
+            row.appendChild(cell);
+        }
+        body.appendChild(row);
+    });
+}
+
+function handleControlsMenuKey(event) {
+    event.preventDefault();
+    
+    if (rebinding === null) {
+        if (event.code === 'Escape') {
+            closeControlsMenu();
+        }
+        return;
+    }
     
-    if (keys.left) {
-        playerShip.position.x -= CONFIG.playerSpeed;
+    if (event.code === 'Escape') {
+        rebinding = null;
+        showControlsMessage('', false);
+        renderControlsMenu();
+        return;
     }
-    if (keys.right) {
-        playerShip.position.x += CONFIG.playerSpeed;
+    
+    // Backspace clears the slot
+    const code = event.code === 'Backspace' ? null : event.code;
+    try {
+        setBinding(bindings, rebinding.action, rebinding.slot, code);
+    } catch (error) {
+        // Conflict - keep waiting so another key can be tried
+        showControlsMessage(error.message.toUpperCase(), true);
+        return;
     }
     
-    // Constrain to bounds
-    playerShip.position.x = Math.max(-CONFIG.playerBounds, Math.min(CONFIG.playerBounds, playerShip.position.x));
+    saveBindings(bindings);
+    rebinding = null;
+    showControlsMessage('', false);
+    renderControlsMenu();
+    updateControlsHints();
+}
+
+function showControlsMessage(message, isError) {
+    const element = document.getElementById('controls-message');
+    element.textContent = message;
+    element.classList.toggle('error', isError);
+}
+
+// Rewrite the start screen and in-game key hints from the current bindings
+function updateControlsHints() {
+    const hints = [
+        [describeMovement(), 'to move'],
+        [describeAction(bindings, 'shoot'), 'to shoot'],
+        [`1-${WEAPONS.length}`, 'weapons'],
+        [describeAction(bindings, 'ability'), 'ability'],
+        [describeAction(bindings, 'pause'), 'to pause'],
+        [describeAction(bindings, 'mute'), 'mute']
+    ];
+    
+    const info = document.querySelector('#start-screen .controls-info');
+    info.innerHTML = '';
+    hints.forEach(([keyText, description], i) => {
+        const keyElement = document.createElement('span');
+        keyElement.textContent = keyText;
+        info.append(i > 0 ? ' | ' : '', keyElement, ` ${description}`);
+    });
+    
+    document.getElementById('controls-hint').textContent =
+        hints.map(([keyText, description]) => `${keyText} ${description}`).join(' | ');
+    document.getElementById('ability-key').textContent = `[${describeAction(bindings, 'ability')}]`;
+    
+    document.getElementById('player-two-keys').textContent = [
+        `P2: ${describeMovement('left2', 'right2')} to move`,
+        `${describeAction(bindings, 'shoot2')} to shoot`,
+        `${describeAction(bindings, 'weapon2')} next weapon`,
+        `${describeAction(bindings, 'ability2')} ability`
+    ].join(' | ');
+}
+
+// Left and right keys paired up by slot, e.g. '←/→ or A/D'
+function describeMovement(leftAction = 'left', rightAction = 'right') {
+    const pairs = [];
+    for (let slot = 0; slot < SLOTS; slot++) {
+        const left = bindings[leftAction][slot];
+        const right = bindings[rightAction][slot];
+        if (left !== null || right !== null) {
+            pairs.push(`${formatKey(left)}/${formatKey(right)}`);
+        }
+    }
+    return pairs.join(' or ');
 }
 
 // ============================================================================
-// SHOOTING SYSTEM
+// PAUSE
 // ============================================================================
-function shoot() {
-    if (!playerShip) return;
+function pauseGame() {
+    if (replayPlayer) {
+        setReplayPlaying(false);
+        return;
+    }
+    if (isWaveEditorOpen()) {
+        setEditorPreviewing(false);
+        return;
+    }
+    if (!isGameRunning()) return;
     
-    const now = Date.now();
-    if (now - lastShootTime < CONFIG.shootCooldown) return;
-    lastShootTime = now;
+    paused = true;
     
-    // Create bullet
-    const bulletGeometry = new THREE.SphereGeometry(CONFIG.bulletRadius, 8, 8);
-    const bulletMaterial = new THREE.MeshBasicMaterial({
-        color: CONFIG.bulletColor,
-        emissive: CONFIG.bulletColor
-    });
+    // Drop held inputs - their keyup may never arrive while paused
+    releaseInput(input);
+    releaseInput(playerTwoInput);
     
-    const bullet = new THREE.Mesh(bulletGeometry, bulletMaterial);
-    bullet.position.copy(playerShip.position);
-    bullet.position.y += 0.5;
-    bullet.position.z -= 1;
+    pauseAudio(audio);
+    document.getElementById('pause-menu').classList.add('visible');
+}
+
+function resumeGame() {
+    if (!paused) return;
     
-    // Add glow effect
-    const glowGeometry = new THREE.SphereGeometry(CONFIG.bulletRadius * 2, 8, 8);
-    const glowMaterial = new THREE.MeshBasicMaterial({
-        color: CONFIG.bulletColor,
-        transparent: true,
-        opacity: 0.3
+    paused = false;
+    resumeAudio(audio);
+    document.getElementById('pause-menu').classList.remove('visible');
+}
+
+function togglePause() {
+    if (replayPlayer) {
+        toggleReplayPlayback();
+    } else if (paused) {
+        resumeGame();
+    } else {
+        pauseGame();
+    }
+}
+
+// ============================================================================
+// ABILITIES
+// ============================================================================
+function setupAbilitySelect() {
+    const options = document.getElementById('ability-options');
+    
+    ABILITIES.forEach((ability) => {
+        const button = document.createElement('button');
+        button.textContent = ability.name;
+        button.dataset.ability = ability.id;
+        button.addEventListener('click', () => selectAbility(ability.id));
+        options.appendChild(button);
     });
-    const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-    bullet.add(glow);
     
-    scene.add(bullet);
-    bullets.push(bullet);
+    selectAbility(selectedAbility);
+}
+
+function selectAbility(id) {
+    selectedAbility = id;
+    document.querySelectorAll('#ability-options button').forEach((button) => {
+        button.classList.toggle('active', button.dataset.ability === id);
+    });
+    document.getElementById('ability-description').textContent = getAbility(id).description;
+}
+
+// Meter with the equipped ability's name - ready, active or charging
+function updateAbilityDisplay(ability, ready) {
+    const display = document.getElementById('ability-display');
+    display.classList.toggle('ready', ready);
+    display.classList.toggle('active', ability.active);
+    
+    const meter = getAbilityMeter(ability, ready);
+    document.getElementById('ability-fill').style.width = `${meter.fraction * 100}%`;
+    document.getElementById('ability-name').textContent = getAbility(ability.id).name;
+    document.getElementById('ability-status').textContent = meter.status;
 }
 
-function updateBullets() {
-    for (let i = bullets.length - 1; i >= 0; i--) {
-        const bullet = bullets[i];
-        bullet.position.z -= CONFIG.bulletSpeed;
+// How full the meter is (or how much of the ability's time is left) and
+// the status to show for it
+function getAbilityMeter(ability, ready) {
+    const definition = getAbility(ability.id);
+    const fraction = ability.active
+        ? Math.max(ability.endTime - sim.time, 0) / definition.duration
+        : ability.charge / definition.cost;
+    
+    let status = `${Math.floor(fraction * 100)}%`;
+    if (ability.active) {
+        status = 'ACTIVE';
+    } else if (ready) {
+        status = 'READY';
+    }
+    return { fraction: fraction, status: status };
+}
+
+// ============================================================================
+// CO-OP
+// ============================================================================
+// A second player shares the keyboard, with their own keys (see bindings.js)
+function setupPlayerSelect() {
+    document.querySelectorAll('#player-options button').forEach((button) => {
+        button.addEventListener('click', () => selectPlayers(Number(button.dataset.players)));
+    });
+    selectPlayers(selectedPlayers);
+}
+
+function selectPlayers(count) {
+    selectedPlayers = count;
+    document.querySelectorAll('#player-options button').forEach((button) => {
+        button.classList.toggle('active', Number(button.dataset.players) === count);
+    });
+    document.getElementById('player-two-keys').classList.toggle('visible', count > 1);
+}
+
+// One block per player: score, lives, combo, then weapon and ability
+function updateCoopDisplay(players) {
+    const display = document.getElementById('coop-display');
+    display.innerHTML = '';
+    
+    players.forEach((player) => {
+        const block = document.createElement('div');
+        block.className = 'coop-player';
+        block.dataset.player = player.index;
+        block.classList.toggle('out', player.out);
+        
+        const lives = Math.max(player.lives, 0);
+        const combo = player.combo.chain > 0 ? `  x${player.combo.multiplier}` : '';
+        const summary = document.createElement('div');
+        summary.textContent = `P${player.index + 1} ${player.score}  ${'❤️'.repeat(lives)}${'🖤'.repeat(CONFIG.maxLives - lives)}${combo}`;
         
-        // Remove if off screen
-        if (bullet.position.z < -30) {
-            scene.remove(bullet);
-            bullets.splice(i, 1);
+        const status = document.createElement('div');
+        status.className = 'coop-status';
+        if (player.out) {
+            status.textContent = 'OUT';
+        } else {
+            const meter = getAbilityMeter(player.ability, isAbilityReady(player));
+            status.textContent = `${getWeapon(player.weapon).name} | ${getAbility(player.ability.id).name} ${meter.status}`;
         }
-    }
+        
+        block.append(summary, status);
+        display.appendChild(block);
+    });
 }
 
 // ============================================================================
-// LASER SYSTEM
+// AUDIO
 // ============================================================================
-function checkLaserAvailability() {
-    // Laser becomes available at wave 5, 10, 15, etc.
-    // Only becomes available at exact intervals, and only if not used in current cycle
-    if (!laserActive) {
-        // Check if current wave is an exact interval (5, 10, 15, etc.)
-        if (wave >= LASER_INTERVAL && wave % LASER_INTERVAL === 0) {
-            // Calculate which cycle we're in (wave 5 = cycle 1, wave 10 = cycle 2, etc.)
-            const currentCycle = wave / LASER_INTERVAL;
-            
-            // Calculate which cycle laser was last used in
-            const lastUsedCycle = laserLastUsedWave > 0 ? laserLastUsedWave / LASER_INTERVAL : 0;
-            
-            // Only make available if we're in a NEW cycle (not used yet this cycle)
-            // e.g., if used at wave 5 (cycle 1), only available again at wave 10 (cycle 2)
-            if (currentCycle > lastUsedCycle) {
-                laserAvailable = true;
-                updateLaserDisplay();
-            } else {
-                laserAvailable = false;
-                updateLaserDisplay();
-            }
+// The start screen and the pause menu each have mute and volume controls,
+// tagged with the setting they change
+function setupAudioSettings() {
+    document.querySelectorAll('[data-audio-setting]').forEach((input) => {
+        const key = input.dataset.audioSetting;
+        input.addEventListener('input', () => {
+            unlockAudio(audio);
+            setAudioSetting(audio, key, input.type === 'checkbox' ? input.checked : Number(input.value));
+            updateAudioSettingsDisplay();
+        });
+    });
+    updateAudioSettingsDisplay();
+}
+
+// Keep both sets of controls showing the current settings
+function updateAudioSettingsDisplay() {
+    document.querySelectorAll('[data-audio-setting]').forEach((input) => {
+        const value = audio.settings[input.dataset.audioSetting];
+        if (input.type === 'checkbox') {
+            input.checked = value;
         } else {
-            // Not at an interval wave, laser not available
-            laserAvailable = false;
-            updateLaserDisplay();
+            input.value = value;
         }
-    }
+    });
 }
 
-function updateLaserDisplay() {
-    const laserDisplay = document.getElementById('laser-display');
-    if (laserAvailable && !laserActive) {
-        laserDisplay.classList.add('available');
-        laserDisplay.classList.remove('charging');
-        laserDisplay.textContent = '[Q] LASER READY ⚡';
-    } else if (laserActive) {
-        laserDisplay.classList.add('available');
-        laserDisplay.classList.remove('charging');
-        laserDisplay.textContent = '>>> FIRING LASER <<<';
-    } else {
-        laserDisplay.classList.remove('available');
-        laserDisplay.classList.add('charging');
-        const nextWave = (Math.floor(wave / LASER_INTERVAL) + 1) * LASER_INTERVAL;
-        laserDisplay.textContent = `[Q] LASER (Wave ${nextWave})`;
-    }
+// The march speeds up as the closest alien nears the player
+function getMusicTempo() {
+    if (!sim || sim.aliens.length === 0) return 1;
+    
+    const closestZ = Math.max(...sim.aliens.map(alien => alien.z));
+    const progress = THREE.MathUtils.clamp(
+        (closestZ - CONFIG.alienStartZ) / (CONFIG.playerZ - CONFIG.alienStartZ), 0, 1);
+    return 1 + progress * (MUSIC.maxTempoScale - 1);
 }
 
-function fireLaser() {
-    if (!laserAvailable || laserActive || !playerShip) return;
-    
-    laserAvailable = false;
-    laserActive = true;
-    laserLastUsedWave = wave;
-    updateLaserDisplay();
-    
+// ============================================================================
+// LASER BEAM
+// ============================================================================
+function createLaserBeam(objects, x) {
     // Create laser beam
     const laserGeometry = new THREE.BoxGeometry(0.3, 0.3, 100);
     const laserMaterial = new THREE.MeshBasicMaterial({
@@ -1147,7 +2236,7 @@ function fireLaser() {
         opacity: 0.8
     });
     
-    laserBeam = new THREE.Group();
+    const laserBeam = new THREE.Group();
     
     // Core beam
     const core = new THREE.Mesh(laserGeometry, laserMaterial);
@@ -1176,203 +2265,114 @@ function fireLaser() {
     glow2.position.z = -50;
     laserBeam.add(glow2);
     
-    laserBeam.position.copy(playerShip.position);
-    laserBeam.position.y += 0.5;
+    laserBeam.position.set(x, 0.5, CONFIG.playerZ);
     
     scene.add(laserBeam);
-    
-    // End laser after duration
-    setTimeout(() => {
-        endLaser();
-    }, LASER_DURATION);
+    objects.laserBeam = laserBeam;
+    startLaserHum(audio);
 }
 
-function updateLaser() {
-    if (!laserActive || !laserBeam || !playerShip) return;
+function updateLaserBeam(objects, x) {
+    const laserBeam = objects.laserBeam;
+    if (!laserBeam) return;
     
     // Follow player X position
-    laserBeam.position.x = playerShip.position.x;
+    laserBeam.position.x = x;
     
     // Pulsing effect
-    const pulse = 0.8 + Math.sin(Date.now() * 0.01) * 0.2;
+    const pulse = 0.8 + Math.sin(gameTime * 0.01) * 0.2;
     laserBeam.children.forEach((child, i) => {
         if (child.material) {
             child.material.opacity = (i === 0 ? 0.8 : i === 1 ? 0.3 : 0.15) * pulse;
         }
     });
-    
-    // Check collision with all aliens
-    checkLaserCollisions();
 }
 
-function checkLaserCollisions() {
-    if (!laserBeam) return;
-    
-    const laserX = laserBeam.position.x;
-    const laserHitWidth = 1.0; // How wide the laser hit area is
-    
-    for (let i = aliens.length - 1; i >= 0; i--) {
-        const alien = aliens[i];
-        if (!alien.alive) continue;
-        
-        const alienX = alien.mesh.position.x;
-        
-        // Check if alien is within laser's X range
-        if (Math.abs(alienX - laserX) < laserHitWidth) {
-            // Instant kill - reduce health to 0
-            alien.health = 0;
-            alien.alive = false;
-            destroyAlien(alien, i);
-            
-            // Points
-            const points = alien.type === 'charger' ? CONFIG.pointsPerAlien * 3 : CONFIG.pointsPerAlien;
-            score += points;
-            updateScoreDisplay();
-        }
+function removeLaserBeam(objects) {
+    if (objects.laserBeam) {
+        scene.remove(objects.laserBeam);
+        disposeObject(objects.laserBeam);
+        objects.laserBeam = null;
     }
-}
-
-function endLaser() {
-    if (laserBeam) {
-        scene.remove(laserBeam);
-        laserBeam = null;
+    
+    // The hum carries on while the other player's beam still runs
+    if (!playerObjects.some(other => other.laserBeam)) {
+        stopLaserHum(audio);
     }
-    laserActive = false;
-    updateLaserDisplay();
 }
 
 // ============================================================================
-// COLLISION DETECTION
+// HIT EFFECTS
 // ============================================================================
-function checkCollisions() {
-    for (let i = bullets.length - 1; i >= 0; i--) {
-        const bullet = bullets[i];
-        const bulletPos = bullet.position;
-        
-        for (let j = aliens.length - 1; j >= 0; j--) {
-            const alien = aliens[j];
-            if (!alien.alive) continue;
-            
-            const alienPos = alien.mesh.position;
-            
-            // 2D distance on XZ plane (ignore Y height difference)
-            const dx = bulletPos.x - alienPos.x;
-            const dz = bulletPos.z - alienPos.z;
-            const distance2D = Math.sqrt(dx * dx + dz * dz);
-            
-            // Larger hitbox for chargers
-            const hitRadius = alien.type === 'charger' ? CONFIG.alienHitRadius * 1.3 : CONFIG.alienHitRadius;
-            
-            if (distance2D < hitRadius) {
-                // Hit! Remove bullet
-                scene.remove(bullet);
-                bullets.splice(i, 1);
-                
-                // Reduce health
-                alien.health--;
-                
-                if (alien.health <= 0) {
-                    // Alien destroyed
-                    alien.alive = false;
-                    destroyAlien(alien, j);
-                    
-                    // Chargers give more points
-                    const points = alien.type === 'charger' ? CONFIG.pointsPerAlien * 3 : CONFIG.pointsPerAlien;
-                    score += points;
-                    updateScoreDisplay();
-                } else {
-                    // Alien damaged but not dead - make it angry and charge!
-                    damageAlien(alien);
-                }
-                
-                break;
-            }
-        }
-    }
-}
-
-// Visual effect when alien is damaged but not killed
-function damageAlien(alien) {
+// Visual effect when alien is damaged but not killed.
+// weakPoint: the boss weak point that was hit, if any
+function damageAlien(alien, weakPoint = null) {
+    const mesh = alienMeshes.get(alien.id);
+    if (!mesh) return;
+    
     // Flash white
-    alien.mesh.traverse((child) => {
+    mesh.traverse((child) => {
         if (child.isMesh && child.material) {
             const originalColor = child.material.color.clone();
+            
+            // Bosses take many hits - remember their own glow to go back to
+            if (getEnemyType(alien.type).model.keepGlow && !child.userData.baseEmissive) {
+                child.userData.baseEmissive = child.material.emissive.clone();
+                child.userData.baseEmissiveIntensity = child.material.emissiveIntensity;
+            }
+            
             child.material.emissive = new THREE.Color(0xffffff);
             child.material.emissiveIntensity = 2;
             
-            setTimeout(() => {
-                child.material.emissive = new THREE.Color(0xff0000);
-                child.material.emissiveIntensity = 1;
+            setGameTimeout(() => {
+                // The mesh may have gone back to its pool and be another alien now
+                if (alienMeshes.get(alien.id) !== mesh) return;
+                
+                if (child.userData.baseEmissive) {
+                    child.material.emissive = child.userData.baseEmissive.clone();
+                    child.material.emissiveIntensity = child.userData.baseEmissiveIntensity;
+                } else {
+                    child.material.emissive = new THREE.Color(0xff0000);
+                    child.material.emissiveIntensity = 1;
+                }
             }, 100);
         }
     });
     
-    // If charger, start charging!
-    if (alien.type === 'charger') {
-        alien.isCharging = true;
-    }
-    
     // Create small hit particles
-    createHitParticles(alien.mesh.position.clone());
+    const hitPosition = mesh.position.clone();
+    if (weakPoint) {
+        hitPosition.x += weakPoint.x;
+        hitPosition.z += weakPoint.z;
+    }
+    createHitParticles(hitPosition);
 }
 
 function createHitParticles(position) {
-    for (let i = 0; i < 8; i++) {
-        const geometry = new THREE.SphereGeometry(0.08, 4, 4);
-        const material = new THREE.MeshBasicMaterial({
-            color: 0xffaa00,
-            transparent: true,
-            opacity: 1
-        });
-        
-        const particle = new THREE.Mesh(geometry, material);
-        particle.position.copy(position);
-        
-        const velocity = new THREE.Vector3(
-            (Math.random() - 0.5) * 0.2,
-            (Math.random() - 0.5) * 0.2,
-            (Math.random() - 0.5) * 0.2
-        );
-        
-        scene.add(particle);
-        
-        let life = 1.0;
-        function animateParticle() {
-            life -= 0.1;
-            particle.position.add(velocity);
-            particle.material.opacity = life;
-            
-            if (life > 0) {
-                requestAnimationFrame(animateParticle);
-            } else {
-                scene.remove(particle);
-            }
-        }
-        animateParticle();
-    }
+    emitParticles(particles, EMITTERS.hitSpark, position, cosmeticRandom);
 }
 
 // Animated alien destruction
-function destroyAlien(alien, index) {
-    const mesh = alien.mesh;
-    const startScale = mesh.scale.clone();
-    const duration = 300; // milliseconds
-    const startTime = Date.now();
+function destroyAlien(alien) {
+    const mesh = alienMeshes.get(alien.id);
     
     // Create explosion particles immediately
-    createExplosion(mesh.position.clone());
+    createExplosion(mesh ? mesh.position.clone() : getAlienPosition(alien));
+    if (!mesh) return;
     
-    function animateDestruction() {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
+    // The simulation already dropped the alien - animate the leftover mesh
+    alienMeshes.delete(alien.id);
+    dyingAliens.push({ mesh: mesh, startScale: mesh.scale.clone(), startTime: gameTime });
+}
+
+// One tick of the destruction animation for every alien still dying
+function updateDyingAliens() {
+    dyingAliens = dyingAliens.filter((dying) => {
+        const mesh = dying.mesh;
+        const progress = Math.min((gameTime - dying.startTime) / VIEW_CONFIG.alienDeathDuration, 1);
         
         // Scale down and spin
-        const scale = 1 - progress;
-        mesh.scale.set(
-            startScale.x * scale,
-            startScale.y * scale,
-            startScale.z * scale
-        );
+        mesh.scale.copy(dying.startScale).multiplyScalar(1 - progress);
         mesh.rotation.y += 0.3;
         mesh.rotation.x += 0.1;
         
@@ -1386,137 +2386,287 @@ function destroyAlien(alien, index) {
             }
         });
         
-        if (progress < 1) {
-            requestAnimationFrame(animateDestruction);
-        } else {
-            // Fully remove from scene
-            scene.remove(mesh);
-            // Remove from aliens array
-            const idx = aliens.indexOf(alien);
-            if (idx > -1) {
-                aliens.splice(idx, 1);
-            }
-        }
-    }
-    
-    animateDestruction();
+        if (progress < 1) return true;
+        
+        // Fully remove from scene
+        releaseMesh(mesh);
+        return false;
+    });
 }
 
 // ============================================================================
-// EXPLOSION EFFECT
+// BOSS EFFECTS
 // ============================================================================
-function createExplosion(position) {
-    const particleCount = 20;
-    const particles = [];
-    
-    for (let i = 0; i < particleCount; i++) {
-        const geometry = new THREE.SphereGeometry(0.1, 4, 4);
-        const material = new THREE.MeshBasicMaterial({
-            color: Math.random() > 0.5 ? 0xff6600 : 0xffff00,
-            transparent: true,
-            opacity: 1
-        });
-        
-        const particle = new THREE.Mesh(geometry, material);
-        particle.position.copy(position);
-        
-        // Random velocity
-        particle.userData.velocity = new THREE.Vector3(
-            (Math.random() - 0.5) * 0.3,
-            (Math.random() - 0.5) * 0.3,
-            (Math.random() - 0.5) * 0.3
-        );
-        particle.userData.life = 1.0;
-        
-        scene.add(particle);
-        particles.push(particle);
-    }
+// Show the weak points the boss has open in its current phase
+function updateBossWeakPoints(mesh, boss) {
+    const exposed = getExposedWeakPoints(boss);
+    CONFIG.bossWeakPoints.forEach((point, index) => {
+        mesh.userData.weakPoints[index].visible = exposed.includes(point);
+    });
+    mesh.userData.shield.visible = exposed.length < CONFIG.bossWeakPoints.length;
+}
+
+function bossPhaseChanged(boss) {
+    const mesh = alienMeshes.get(boss.id);
+    if (!mesh) return;
     
-    // Animate particles
-    function animateExplosion() {
-        let allDead = true;
-        
-        particles.forEach((particle, index) => {
-            if (particle.userData.life > 0) {
-                allDead = false;
-                particle.position.add(particle.userData.velocity);
-                particle.userData.life -= 0.05;
-                particle.material.opacity = particle.userData.life;
-                particle.scale.multiplyScalar(0.95);
-            } else if (particle.parent) {
-                scene.remove(particle);
-            }
-        });
-        
-        if (!allDead) {
-            requestAnimationFrame(animateExplosion);
-        }
+    // Blow the armour off whatever just opened up
+    createExplosion(mesh.userData.shield.getWorldPosition(new THREE.Vector3()));
+    updateBossWeakPoints(mesh, boss);
+}
+
+// A chain of explosions across the hull, then the bonus callout
+function destroyBoss(boss, points) {
+    const mesh = alienMeshes.get(boss.id);
+    const center = mesh ? mesh.position.clone() : getAlienPosition(boss);
+    
+    for (let i = 0; i < 6; i++) {
+        setGameTimeout(() => {
+            const offset = new THREE.Vector3(
+                (cosmeticRandom() - 0.5) * 6,
+                (cosmeticRandom() - 0.5) * 1.5,
+                (cosmeticRandom() - 0.5) * 4
+            );
+            createExplosion(center.clone().add(offset));
+        }, i * 120);
     }
-    
-    animateExplosion();
+    destroyAlien(boss);
+    
+    const bonus = document.getElementById('boss-bonus');
+    bonus.textContent = `BOSS DEFEATED +${points}`;
+    bonus.classList.add('visible');
+    setGameTimeout(() => {
+        bonus.classList.remove('visible');
+    }, 2500);
 }
 
 // ============================================================================
-// ALIEN MOVEMENT
+// SCORING EFFECTS
 // ============================================================================
-function getAlienSpeed() {
-    // Every 3 waves, aliens get 10% faster
-    const speedMultiplier = Math.pow(1.1, Math.floor((wave - 1) / 3));
-    return CONFIG.alienSpeed * speedMultiplier;
+// Points float up from where the alien died
+function showScorePopup(alien, points, multiplier) {
+    const mesh = alienMeshes.get(alien.id);
+    const position = mesh ? mesh.position.clone() : getAlienPosition(alien);
+    const screen = position.project(camera);
+    
+    const element = document.createElement('div');
+    element.className = multiplier > 1 ? 'score-popup multiplied' : 'score-popup';
+    element.textContent = multiplier > 1 ? `+${points} x${multiplier}` : `+${points}`;
+    element.style.left = `${(screen.x + 1) / 2 * 100}%`;
+    element.style.top = `${(1 - screen.y) / 2 * 100}%`;
+    document.getElementById('score-popups').appendChild(element);
+    
+    scorePopups.push({ element: element, startTime: gameTime });
 }
 
-function updateAliens() {
-    const currentSpeed = getAlienSpeed();
-    
-    for (let i = aliens.length - 1; i >= 0; i--) {
-        const alien = aliens[i];
+// Driven by the game clock so the numbers freeze with the game when paused
+function updateScorePopups() {
+    scorePopups = scorePopups.filter((popup) => {
+        const progress = (gameTime - popup.startTime) / VIEW_CONFIG.scorePopupDuration;
+        if (progress >= 1) {
+            popup.element.remove();
+            return false;
+        }
         
-        if (alien.type === 'charger' && alien.isCharging) {
-            // Charger moves fast and toward player's X position
-            const playerX = playerShip ? playerShip.position.x : 0;
-            const dx = playerX - alien.mesh.position.x;
-            
-            // Move toward player X
-            alien.mesh.position.x += Math.sign(dx) * currentSpeed * 2;
-            
-            // Move forward fast
-            alien.mesh.position.z += alien.chargeSpeed;
-            
-            // Wobble aggressively while charging
-            alien.mesh.rotation.z = Math.sin(Date.now() * 0.02) * 0.2;
-        } else {
-            // Normal movement toward player (positive Z direction)
-            alien.mesh.position.z += currentSpeed;
-        }
-        
-        // Check if alien reached the player
-        if (alien.mesh.position.z >= CONFIG.playerZ - CONFIG.alienHitDistance) {
-            // Alien hit the player!
-            playerHit(alien, i);
+        popup.element.style.transform = `translate(-50%, ${-progress * VIEW_CONFIG.scorePopupRise}px)`;
+        popup.element.style.opacity = 1 - progress * progress;
+        return true;
+    });
+}
+
+function clearScorePopups() {
+    scorePopups.forEach(popup => popup.element.remove());
+    scorePopups = [];
+}
+
+function pulseComboDisplay() {
+    const display = document.getElementById('combo-display');
+    
+    // Restart the animation if it is already running
+    display.classList.remove('pulse');
+    void display.offsetWidth;
+    display.classList.add('pulse');
+}
+
+// Bonus lines appear one at a time during the break between waves
+function showWaveTally(result) {
+    const tally = document.getElementById('wave-tally');
+    const lines = [
+        `WAVE ${result.wave} CLEAR`,
+        `ACCURACY ${Math.round(result.accuracy * 100)}%  +${result.bonuses.accuracy}`,
+        `TIME ${(result.clearTime / 1000).toFixed(1)}s  +${result.bonuses.speed}`,
+        result.damageTaken ? 'NO DAMAGE  -' : `NO DAMAGE  +${result.bonuses.noDamage}`,
+        `BONUS  +${result.total}`
+    ];
+    
+    tally.innerHTML = '';
+    tally.classList.add('visible');
+    lines.forEach((text, index) => {
+        setGameTimeout(() => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            if (index === lines.length - 1) {
+                line.className = 'tally-total';
+            }
+            tally.appendChild(line);
+        }, index * VIEW_CONFIG.tallyLineDelay);
+    });
+    
+    setGameTimeout(() => {
+        tally.classList.remove('visible');
+    }, lines.length * VIEW_CONFIG.tallyLineDelay + VIEW_CONFIG.tallyHoldTime);
+}
+
+// ============================================================================
+// POWER-UP EFFECTS
+// ============================================================================
+function powerUpCollected(powerUp) {
+    const mesh = powerUpMeshes.get(powerUp.id);
+    if (mesh) {
+        releaseMesh(mesh);
+        powerUpMeshes.delete(powerUp.id);
+    }
+    createHitParticles(new THREE.Vector3(powerUp.x, powerUp.y, powerUp.z));
+}
+
+function createShieldBubble(objects) {
+    const geometry = new THREE.SphereGeometry(1.6, 24, 16);
+    const material = new THREE.MeshBasicMaterial({
+        color: VIEW_CONFIG.powerUpColors.shield,
+        transparent: true,
+        opacity: 0.25,
+        depthWrite: false
+    });
+    const shieldBubble = new THREE.Mesh(geometry, material);
+    shieldBubble.position.set(0, 0.5, CONFIG.playerZ);
+    shieldBubble.userData.flashTime = -Infinity;
+    scene.add(shieldBubble);
+    objects.shieldBubble = shieldBubble;
+}
+
+function updateShieldBubble(objects, x) {
+    const shieldBubble = objects.shieldBubble;
+    if (!shieldBubble) return;
+    shieldBubble.position.x = x;
+    
+    // Shimmer, flaring up briefly when something hits it
+    const flash = Math.max(0, 1 - (gameTime - shieldBubble.userData.flashTime) / 300);
+    shieldBubble.material.opacity = 0.2 + Math.sin(gameTime * 0.006) * 0.05 + flash * 0.5;
+}
+
+// Ghostly copy of the player's ship
+function createCloneShip(objects, x) {
+    if (!objects.ship) return;
+    
+    const cloneShip = objects.ship.clone();
+    cloneShip.traverse((child) => {
+        if (child.isMesh && child.material) {
+            child.material = child.material.clone();
+            child.material.transparent = true;
+            child.material.opacity = 0.5;
         }
+    });
+    cloneShip.position.x = x;
+    scene.add(cloneShip);
+    objects.cloneShip = cloneShip;
+}
+
+function removeCloneShip(objects) {
+    if (objects.cloneShip) {
+        scene.remove(objects.cloneShip);
+        disposeMaterials(objects.cloneShip); // Geometry belongs to the player ship
+        objects.cloneShip = null;
+    }
+}
+
+function removeShieldBubble(objects) {
+    if (objects.shieldBubble) {
+        scene.remove(objects.shieldBubble);
+        disposeObject(objects.shieldBubble);
+        objects.shieldBubble = null;
     }
 }
 
-function playerHit(alien, index) {
-    // Remove the alien that hit the player
-    createExplosion(alien.mesh.position.clone());
-    scene.remove(alien.mesh);
-    aliens.splice(index, 1);
+// ============================================================================
+// EXPLOSION EFFECT
+// ============================================================================
+function createExplosion(position) {
+    emitParticles(particles, EMITTERS.explosion, position, cosmeticRandom);
+}
+
+// Exhaust behind the ships (and their clones) and a streak behind every bullet
+function emitTrails(dt) {
+    const shipXs = [];
+    sim.players.forEach((player) => {
+        if (player.out) return;
+        shipXs.push(player.x);
+        if (player.clone) {
+            shipXs.push(player.clone.x);
+        }
+    });
+    shipXs.forEach((x) => {
+        VIEW_CONFIG.engineOffsets.forEach((offset) => {
+            const position = { x: x + offset.x, y: offset.y, z: CONFIG.playerZ + offset.z };
+            emitParticlesOverTime(particles, EMITTERS.engineTrail, position, dt, cosmeticRandom);
+        });
+    });
     
-    // Lose a life
-    lives--;
-    updateLivesDisplay();
+    sim.bullets.forEach((bullet) => {
+        const color = getWeapon(bullet.weapon).visuals.color;
+        emitParticlesOverTime(particles, EMITTERS.bulletTrail, bullet, dt, cosmeticRandom, { color: color });
+    });
+}
+
+// ============================================================================
+// PLAYER DAMAGE
+// ============================================================================
+// hit: the simulation's playerHit event - an alien crash or an enemy projectile
+function playerHit(hit) {
+    explodeHitSource(hit);
     
     // Flash screen red
-    flashDamage();
+    flashScreen('rgba(255, 0, 0, 0.3)');
+}
+
+// Same hit, but the shield took it
+function shieldHit(hit) {
+    explodeHitSource(hit);
+    const shieldBubble = playerObjects[hit.player] && playerObjects[hit.player].shieldBubble;
+    if (shieldBubble) {
+        shieldBubble.userData.flashTime = gameTime;
+    }
+}
+
+// Out of lives - in co-op the ship blows up and the others play on
+function playerOut(index) {
+    if (sim.players.length === 1) return;
     
-    // Check for game over
-    if (lives <= 0) {
-        triggerGameOver();
+    const ship = playerObjects[index] && playerObjects[index].ship;
+    if (ship) {
+        createExplosion(ship.position.clone());
+    }
+    if (!sim.gameOver) {
+        showNotice(`PLAYER ${index + 1} IS OUT`);
+    }
+}
+
+// Blow up whatever hit the player
+function explodeHitSource(hit) {
+    const mesh = hit.alien ? alienMeshes.get(hit.alien.id) : enemyBulletMeshes.get(hit.projectile.id);
+    createExplosion(mesh ? mesh.position.clone() : new THREE.Vector3(hit.x, hit.y, hit.z));
+    
+    if (mesh) {
+        releaseMesh(mesh);
+        if (hit.alien) {
+            alienMeshes.delete(hit.alien.id);
+        } else {
+            enemyBulletMeshes.delete(hit.projectile.id);
+        }
     }
 }
 
-function flashDamage() {
+// color: any CSS background, e.g. red for damage
+function flashScreen(color) {
     const overlay = document.createElement('div');
     overlay.style.cssText = `
         position: fixed;
@@ -1524,7 +2674,7 @@ function flashDamage() {
         left: 0;
         width: 100%;
         height: 100%;
-        background: rgba(255, 0, 0, 0.3);
+        background: ${color};
         pointer-events: none;
         z-index: 100;
         animation: flashOut 0.3s ease-out forwards;
@@ -1548,53 +2698,55 @@ function flashDamage() {
 }
 
 function triggerGameOver() {
-    gameOver = true;
-    document.getElementById('final-score').textContent = score;
+    document.getElementById('final-score').textContent = sim.score;
+    document.getElementById('final-players').textContent = sim.players.length > 1
+        ? sim.players.map(player => `P${player.index + 1}: ${player.score}`).join(' | ')
+        : '';
+    document.getElementById('final-seed').textContent = formatSeed(sim.seed);
     document.getElementById('game-over').classList.add('visible');
     
+    // Ask for initials if the run made the table
+    offerHighScoreEntry();
+    
     // Setup restart button
     document.getElementById('restart-btn').onclick = restartGame;
+    document.getElementById('save-replay-btn').onclick = () => downloadReplay(lastReplay);
 }
 
+// ============================================================================
+// RUN CONTROL
+// ============================================================================
 function restartGame() {
-    // Reset game state
-    score = 0;
-    wave = 1;
-    lives = CONFIG.maxLives;
-    gameOver = false;
-    gameStarted = true;
-    waveTransitioning = false;
+    paused = false;
+    resumeAudio(audio);
     
-    // Reset laser state
-    laserAvailable = false;
-    laserActive = false;
-    laserLastUsedWave = 0;
-    if (laserBeam) {
-        scene.remove(laserBeam);
-        laserBeam = null;
-    }
+    // Drop pending effects and scene objects from the previous run
+    clearGameTimers();
+    clearSceneEntities();
     
-    // Clear all aliens and bullets
-    aliens.forEach(alien => scene.remove(alien.mesh));
-    aliens = [];
-    bullets.forEach(bullet => scene.remove(bullet));
-    bullets = [];
+    // Update UI
+    document.getElementById('game-over').classList.remove('visible');
+    document.getElementById('pause-menu').classList.remove('visible');
     
-    // Reset player position
-    if (playerShip) {
-        playerShip.position.set(0, 0, CONFIG.playerZ);
-    }
+    // Fresh simulation - spawns wave 1
+    startRun();
+}
+
+function quitToTitle() {
+    // Stop the run and return to the start screen
+    stopReplay();
+    sim = null;
+    paused = false;
+    stopMusic(audio);
+    resumeAudio(audio);
+    clearGameTimers();
+    clearSceneEntities();
     
     // Update UI
-    updateScoreDisplay();
-    updateWaveDisplay();
-    updateLivesDisplay();
-    updateLaserDisplay();
+    document.getElementById('wave-announcement').classList.remove('visible');
+    document.getElementById('pause-menu').classList.remove('visible');
     document.getElementById('game-over').classList.remove('visible');
-    
-    // Spawn new aliens
-    spawnAlienGrid();
-    showWaveAnnouncement();
+    document.getElementById('start-screen').classList.remove('hidden');
 }
 
 function setupStartButton() {
@@ -1602,81 +2754,1127 @@ function setupStartButton() {
 }
 
 function startGame() {
-    if (gameStarted) return;
+    if (sim) return;
     
-    gameStarted = true;
+    paused = false;
+    unlockAudio(audio);
     
     // Hide start screen
     document.getElementById('start-screen').classList.add('hidden');
     
-    // Initialize game state
-    score = 0;
-    wave = 1;
-    lives = CONFIG.maxLives;
-    gameOver = false;
-    waveTransitioning = false;
+    // Spawn aliens and start
+    startRun();
+}
+
+// New simulation for a live run, recorded from its first tick
+function startRun() {
+    // Presses made on the menus don't carry into the run
+    releaseInput(input);
+    releaseInput(playerTwoInput);
+    
+    sim = createSimulation({ seed: getRunSeed(), ability: selectedAbility, waves: authoredWaves, players: selectedPlayers });
+    recorder = createRecorder(sim.seed, gameMode, sim.players[0].ability.id, Math.round(1 / FIXED_TIMESTEP), sim.waves, sim.players.length);
+    startMusic(audio);
+}
+
+// ============================================================================
+// SEEDS
+// ============================================================================
+function setupSeedInput() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('seed')) {
+        document.getElementById('seed-input').value = params.get('seed');
+    }
+}
+
+// Seed typed on the start screen, or a fresh one if left blank
+function getRunSeed() {
+    const seed = parseSeed(document.getElementById('seed-input').value);
+    return seed !== null ? seed : randomSeed();
+}
+
+// ============================================================================
+// REPLAYS
+// ============================================================================
+function setupReplayControls() {
+    const fileInput = document.getElementById('replay-file');
     
-    // Initialize laser state
-    laserAvailable = false;
-    laserActive = false;
-    laserLastUsedWave = 0;
+    document.getElementById('load-replay-btn').addEventListener('click', () => {
+        unlockAudio(audio);
+        fileInput.value = '';
+        fileInput.click();
+    });
     
-    // Update UI
-    updateScoreDisplay();
-    updateWaveDisplay();
-    updateLivesDisplay();
-    updateLaserDisplay();
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            let replay;
+            try {
+                replay = parseReplay(reader.result);
+            } catch (error) {
+                showReplayError(`${file.name}: ${error.message}`);
+                return;
+            }
+            showReplayError('');
+            startReplay(replay);
+        };
+        reader.readAsText(file);
+    });
     
-    // Spawn aliens and start
-    spawnAlienGrid();
-    showWaveAnnouncement();
+    document.getElementById('replay-restart-btn').addEventListener('click', () => seekReplayTo(0));
+    document.getElementById('replay-back-btn').addEventListener('click', () => {
+        seekReplayTo(replayPlayer.sim.tick - REPLAY_SEEK_SECONDS * replayPlayer.replay.tickRate);
+    });
+    document.getElementById('replay-play-btn').addEventListener('click', toggleReplayPlayback);
+    document.getElementById('replay-forward-btn').addEventListener('click', () => {
+        seekReplayTo(replayPlayer.sim.tick + REPLAY_SEEK_SECONDS * replayPlayer.replay.tickRate);
+    });
+    document.getElementById('replay-speed-btn').addEventListener('click', () => {
+        // Cycle through the playback speeds
+        const index = REPLAY_SPEEDS.indexOf(replaySpeed);
+        replaySpeed = REPLAY_SPEEDS[(index + 1) % REPLAY_SPEEDS.length];
+        document.getElementById('replay-speed-btn').textContent = `${replaySpeed}x`;
+    });
+    document.getElementById('replay-scrubber').addEventListener('input', (event) => {
+        seekReplayTo(Number(event.target.value));
+    });
+    document.getElementById('replay-exit-btn').addEventListener('click', quitToTitle);
+}
+
+function showReplayError(message) {
+    document.getElementById('replay-error').textContent = message;
+}
+
+function startReplay(replay) {
+    function begin() {
+        replayPlayer = createReplayPlayer(replay);
+        sim = replayPlayer.sim;
+        paused = false;
+        clearGameTimers();
+        clearSceneEntities();
+        
+        replaySpeed = 1;
+        replayTickBudget = 0;
+        document.getElementById('replay-speed-btn').textContent = '1x';
+        
+        // Re-run the whole replay to check its claimed result
+        const result = verifyReplay(replay);
+        const status = document.getElementById('replay-status');
+        status.textContent = result.valid
+            ? `VERIFIED ${result.score} PTS / WAVE ${result.wave}`
+            : `MISMATCH: CLAIMS ${replay.score}, REPLAYS TO ${result.score}`;
+        status.classList.toggle('invalid', !result.valid);
+        
+        document.getElementById('replay-seed').textContent = formatSeed(replay.seed);
+        document.getElementById('replay-scrubber').max = replay.ticks;
+        document.getElementById('start-screen').classList.add('hidden');
+        document.getElementById('replay-controls').classList.add('visible');
+        startMusic(audio);
+        setReplayPlaying(true);
+    }
+    
+    // Replays must be watched in the mode they were recorded in
+    if (replay.mode !== gameMode) {
+        switchGameMode(replay.mode, begin);
+    } else {
+        begin();
+    }
+}
+
+function stopReplay() {
+    if (!replayPlayer) return;
+    
+    replayPlayer = null;
+    replayPlaying = false;
+    document.getElementById('replay-controls').classList.remove('visible');
+}
+
+function setReplayPlaying(playing) {
+    replayPlaying = playing;
+    if (playing) {
+        resumeAudio(audio);
+    } else {
+        pauseAudio(audio);
+    }
+    document.getElementById('replay-play-btn').textContent = playing ? '❚❚' : '▶';
+}
+
+function toggleReplayPlayback() {
+    // Playing from the end starts over
+    if (!replayPlaying && isReplayFinished(replayPlayer)) {
+        seekReplayTo(0);
+    }
+    setReplayPlaying(!replayPlaying);
+}
+
+function updateReplayPlayback() {
+    if (!replayPlaying) return;
+    
+    // Slow speeds skip ticks, fast speeds run several per tick
+    replayTickBudget += replaySpeed;
+    while (replayTickBudget >= 1) {
+        replayTickBudget--;
+        if (!stepReplay(replayPlayer)) {
+            setReplayPlaying(false);
+            replayTickBudget = 0;
+            break;
+        }
+        gameTime += replayPlayer.dt * 1000;
+        updateGameTimers();
+        handleSimEvents();
+        updateVisualEffects(replayPlayer.dt);
+    }
+}
+
+function seekReplayTo(tick) {
+    seekReplay(replayPlayer, tick);
+    sim = replayPlayer.sim;
+    
+    // Effects and scene objects from before the jump no longer apply
+    clearGameTimers();
+    clearSceneEntities();
+    document.getElementById('wave-announcement').classList.remove('visible');
+    
+    // Jumping back from the end brings the music back too
+    if (sim.gameOver) {
+        stopMusic(audio);
+    } else {
+        startMusic(audio);
+    }
+}
+
+function updateReplayControls() {
+    if (!replayPlayer) return;
+    
+    const tickRate = replayPlayer.replay.tickRate;
+    document.getElementById('replay-scrubber').value = sim.tick;
+    document.getElementById('replay-time').textContent =
+        `${formatReplayTime(sim.tick / tickRate)} / ${formatReplayTime(replayPlayer.replay.ticks / tickRate)}`;
+}
+
+function formatReplayTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const remainder = Math.floor(seconds % 60);
+    return `${minutes}:${String(remainder).padStart(2, '0')}`;
+}
+
+function downloadReplay(replay) {
+    if (!replay) return;
+    
+    const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `replay-${formatSeed(replay.seed)}-${replay.score}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// ============================================================================
+// WAVE EDITOR
+// ============================================================================
+// Lay waves out on a top-down grid over the play field and watch them play
+// in the scene with the same simulation and models as a run. Edits are
+// checked as they are made, and waves are saved and loaded as wave files.
+
+// Nobody is at the controls during a preview
+const EDITOR_IDLE_COMMAND = { move: 0, shoot: false, ability: false, weapon: 0 };
+
+function setupWaveEditor() {
+    editorGrid = createEditorGrid();
+    scene.add(editorGrid);
+    
+    document.getElementById('editor-btn').addEventListener('click', openWaveEditor);
+    document.getElementById('editor-exit-btn').addEventListener('click', closeWaveEditor);
+    
+    // Wave list
+    document.getElementById('editor-wave-select').addEventListener('change', (event) => {
+        selectEditorWave(Number(event.target.value));
+    });
+    document.getElementById('editor-add-wave-btn').addEventListener('click', () => {
+        editorWaves.splice(editorWaveIndex + 1, 0, createWave());
+        selectEditorWave(editorWaveIndex + 1);
+    });
+    document.getElementById('editor-delete-wave-btn').addEventListener('click', () => {
+        if (editorWaves.length === 1) {
+            showEditorMessage('A WAVE FILE NEEDS AT LEAST ONE WAVE', true);
+            return;
+        }
+        editorWaves.splice(editorWaveIndex, 1);
+        selectEditorWave(Math.min(editorWaveIndex, editorWaves.length - 1));
+    });
+    
+    // Wave settings
+    const formation = document.getElementById('editor-formation');
+    WAVE_FORMATIONS.forEach((pattern) => {
+        const option = document.createElement('option');
+        option.value = pattern;
+        option.textContent = pattern.toUpperCase();
+        formation.appendChild(option);
+    });
+    formation.addEventListener('change', () => {
+        getEditorWave().formation = formation.value;
+        renderEditorWave();
+    });
+    
+    document.getElementById('editor-boss').addEventListener('change', (event) => {
+        // Boss waves bring only the boss
+        const wave = getEditorWave();
+        wave.boss = event.target.checked;
+        wave.enemies = wave.boss ? [] : createWave().enemies;
+        wave.placed = [];
+        if (!wave.boss && wave.formation === 'placed') {
+            wave.formation = 'random';
+        }
+        renderEditorWave();
+    });
+    
+    document.getElementById('editor-speed').addEventListener('input', (event) => {
+        getEditorWave().speed = event.target.valueAsNumber;
+        updateEditor();
+    });
+    
+    document.querySelectorAll('[data-wave-rule]').forEach((control) => {
+        control.addEventListener('input', () => {
+            getEditorWave().rules[control.dataset.waveRule] =
+                control.type === 'checkbox' ? control.checked : control.valueAsNumber;
+            updateEditor();
+        });
+    });
+    
+    document.getElementById('editor-add-group-btn').addEventListener('click', () => {
+        // Groups on placed waves can only be reinforcements
+        const wave = getEditorWave();
+        const delay = wave.formation === 'placed' ? 5000 : 0;
+        wave.enemies.push({ type: editorPlaceType, count: 1, delay: delay });
+        renderEditorWave();
+    });
+    
+    // Placing aliens
+    const palette = document.getElementById('editor-palette');
+    GROUP_TYPES.forEach((type) => {
+        const button = document.createElement('button');
+        button.textContent = type.toUpperCase();
+        button.dataset.enemyType = type;
+        button.addEventListener('click', () => selectEditorPlaceType(type));
+        palette.appendChild(button);
+    });
+    selectEditorPlaceType(editorPlaceType);
+    
+    document.getElementById('editor-clear-btn').addEventListener('click', () => {
+        getEditorWave().placed = [];
+        updateEditor();
+    });
+    
+    renderer.domElement.addEventListener('pointerdown', onEditorPointerDown);
+    renderer.domElement.addEventListener('contextmenu', (event) => {
+        // Right clicks remove aliens instead
+        if (isWaveEditorOpen()) {
+            event.preventDefault();
+        }
+    });
+    
+    // Preview
+    document.getElementById('editor-play-btn').addEventListener('click', toggleEditorPreview);
+    document.getElementById('editor-restart-btn').addEventListener('click', resetEditorPreview);
+    document.getElementById('editor-view-btn').addEventListener('click', () => setEditorView(!editorTopView));
+    
+    // Wave files
+    document.getElementById('editor-new-btn').addEventListener('click', () => {
+        editorWaves = [createWave()];
+        showEditorMessage('', false);
+        selectEditorWave(0);
+    });
+    document.getElementById('editor-save-btn').addEventListener('click', saveEditorWaves);
+    document.getElementById('editor-use-btn').addEventListener('click', () => {
+        const waves = getCheckedEditorWaves('USING THEM');
+        if (!waves) return;
+        
+        authoredWaves = waves;
+        document.getElementById('wave-errors').innerHTML = '';
+        showEditorMessage(`RUNS NOW PLAY THESE ${waves.length} WAVES`, false);
+    });
+    
+    const fileInput = document.getElementById('editor-file');
+    document.getElementById('editor-load-btn').addEventListener('click', () => {
+        fileInput.value = '';
+        fileInput.click();
+    });
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                editorWaves = parseWaveFile(reader.result);
+            } catch (error) {
+                showEditorMessage(`${file.name}: ${error.message.split('\n')[0]}`, true);
+                return;
+            }
+            showEditorMessage(`LOADED ${file.name}`, false);
+            selectEditorWave(0);
+        };
+        reader.readAsText(file);
+    });
+}
+
+function isWaveEditorOpen() {
+    return editorWaves !== null;
+}
+
+function openWaveEditor() {
+    if (sim) return;
+    
+    // Start from the waves runs play, or a single default wave
+    editorWaves = structuredClone(authoredWaves || [createWave()]);
+    releaseInput(input);
+    releaseInput(playerTwoInput);
+    showEditorMessage('', false);
+    
+    document.body.classList.add('editing');
+    document.getElementById('start-screen').classList.add('hidden');
+    document.getElementById('wave-editor').classList.add('visible');
+    setEditorView(true);
+    selectEditorWave(0);
+}
+
+function closeWaveEditor() {
+    editorWaves = null;
+    setEditorPreviewing(false);
+    sim = null;
+    clearGameTimers();
+    clearSceneEntities();
+    
+    editorGrid.visible = false;
+    placeGameCamera();
+    
+    document.body.classList.remove('editing');
+    document.getElementById('wave-announcement').classList.remove('visible');
+    document.getElementById('wave-editor').classList.remove('visible');
+    document.getElementById('start-screen').classList.remove('hidden');
+}
+
+function getEditorWave() {
+    return editorWaves[editorWaveIndex];
+}
+
+function selectEditorWave(index) {
+    editorWaveIndex = index;
+    renderEditorWave();
+}
+
+function selectEditorPlaceType(type) {
+    editorPlaceType = type;
+    document.querySelectorAll('#editor-palette button').forEach((button) => {
+        button.classList.toggle('selected', button.dataset.enemyType === type);
+    });
+}
+
+// Fill the panel in from the wave on show
+function renderEditorWave() {
+    const wave = getEditorWave();
+    
+    const select = document.getElementById('editor-wave-select');
+    select.innerHTML = '';
+    editorWaves.forEach((entry, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        select.appendChild(option);
+    });
+    select.value = editorWaveIndex;
+    
+    document.getElementById('editor-boss').checked = wave.boss;
+    document.getElementById('editor-formation').value = wave.formation;
+    document.getElementById('editor-speed').value = wave.speed;
+    document.querySelectorAll('[data-wave-rule]').forEach((control) => {
+        const value = wave.rules[control.dataset.waveRule];
+        if (control.type === 'checkbox') {
+            control.checked = value;
+        } else {
+            control.value = value;
+        }
+    });
+    
+    // Boss waves have no formation or enemies, only placed waves take clicks
+    const panel = document.getElementById('wave-editor');
+    panel.classList.toggle('boss-wave', wave.boss);
+    panel.classList.toggle('placed-wave', !wave.boss && wave.formation === 'placed');
+    
+    renderEditorGroups(wave);
+    updateEditor();
+}
+
+// One row per enemy group - type, count, delay in seconds and a remove button
+function renderEditorGroups(wave) {
+    const body = document.getElementById('editor-groups');
+    body.innerHTML = '';
+    
+    wave.enemies.forEach((group, i) => {
+        const type = document.createElement('select');
+        GROUP_TYPES.forEach((id) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = id.toUpperCase();
+            type.appendChild(option);
+        });
+        type.value = group.type;
+        type.addEventListener('change', () => {
+            group.type = type.value;
+            updateEditor();
+        });
+        
+        const count = createEditorNumberInput(group.count, 1, 1);
+        count.addEventListener('input', () => {
+            group.count = count.valueAsNumber;
+            updateEditor();
+        });
+        
+        const delay = createEditorNumberInput(group.delay / 1000, 0, 0.5);
+        delay.addEventListener('input', () => {
+            group.delay = Math.round(delay.valueAsNumber * 1000);
+            updateEditor();
+        });
+        
+        const remove = document.createElement('button');
+        remove.textContent = '✕';
+        remove.title = 'Remove group';
+        remove.addEventListener('click', () => {
+            wave.enemies.splice(i, 1);
+            renderEditorWave();
+        });
+        
+        const row = document.createElement('tr');
+        [type, count, delay, remove].forEach((control) => {
+            const cell = document.createElement('td');
+            cell.appendChild(control);
+            row.appendChild(cell);
+        });
+        body.appendChild(row);
+    });
+}
+
+function createEditorNumberInput(value, min, step) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = min;
+    input.step = step;
+    input.value = value;
+    return input;
+}
+
+// Check the waves and rebuild the preview after every edit
+function updateEditor() {
+    // Labels follow boss and formation changes
+    document.querySelectorAll('#editor-wave-select option').forEach((option, i) => {
+        const wave = editorWaves[i];
+        option.textContent = `WAVE ${i + 1} - ${wave.boss ? 'BOSS' : wave.formation.toUpperCase()}`;
+    });
+    document.getElementById('editor-placed-count').textContent = `${getEditorWave().placed.length} PLACED`;
+    
+    let problems = [];
+    try {
+        checkWaves(editorWaves);
+    } catch (error) {
+        problems = error.message.split('\n');
+    }
+    const errors = document.getElementById('editor-errors');
+    errors.innerHTML = '';
+    problems.forEach((text) => {
+        const line = document.createElement('div');
+        line.textContent = text;
+        errors.appendChild(line);
+    });
+    
+    resetEditorPreview();
+}
+
+// The checked waves, or null with a message saying what they are needed for
+function getCheckedEditorWaves(purpose) {
+    try {
+        return checkWaves(editorWaves);
+    } catch (error) {
+        showEditorMessage(`FIX THE PROBLEMS BELOW BEFORE ${purpose}`, true);
+        return null;
+    }
+}
+
+function saveEditorWaves() {
+    const waves = getCheckedEditorWaves('SAVING');
+    if (!waves) return;
+    
+    const blob = new Blob([serializeWaveFile(waves)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = WAVE_FILE_URL;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    showEditorMessage(`SAVED ${waves.length} WAVES`, false);
+}
+
+function showEditorMessage(message, isError) {
+    const element = document.getElementById('editor-message');
+    element.textContent = message;
+    element.classList.toggle('error', isError);
+}
+
+// ============================================================================
+// WAVE EDITOR - GRID & CAMERA
+// ============================================================================
+// Lines over the area aliens can be placed in, with the front of the
+// formation and the player's line picked out
+function createEditorGrid() {
+    const halfWidth = PLACEMENT_AREA.halfWidth;
+    const front = CONFIG.alienStartZ;
+    const back = front - PLACEMENT_AREA.depth;
+    const spacing = VIEW_CONFIG.editorGridSpacing;
+    
+    const gridPoints = [];
+    for (let x = -halfWidth; x <= halfWidth; x += spacing) {
+        gridPoints.push(new THREE.Vector3(x, 0, back), new THREE.Vector3(x, 0, front));
+    }
+    for (let z = back; z < front; z += spacing) {
+        gridPoints.push(new THREE.Vector3(-halfWidth, 0, z), new THREE.Vector3(halfWidth, 0, z));
+    }
+    const frontPoints = [
+        new THREE.Vector3(-halfWidth, 0, front), new THREE.Vector3(halfWidth, 0, front),
+        new THREE.Vector3(-halfWidth, 0, CONFIG.playerZ), new THREE.Vector3(halfWidth, 0, CONFIG.playerZ)
+    ];
+    
+    const grid = new THREE.Group();
+    grid.add(new THREE.LineSegments(
+        new THREE.BufferGeometry().setFromPoints(gridPoints),
+        new THREE.LineBasicMaterial({ color: VIEW_CONFIG.editorGridColor })
+    ));
+    grid.add(new THREE.LineSegments(
+        new THREE.BufferGeometry().setFromPoints(frontPoints),
+        new THREE.LineBasicMaterial({ color: VIEW_CONFIG.editorFrontColor })
+    ));
+    grid.visible = false;
+    return grid;
+}
+
+// Straight down over the field with the grid, or the view a run is played from
+function setEditorView(topView) {
+    editorTopView = topView;
+    editorGrid.visible = topView;
+    document.getElementById('editor-view-btn').textContent = topView ? 'PLAYER VIEW' : 'TOP VIEW';
+    
+    if (!topView) {
+        placeGameCamera();
+        return;
+    }
+    const centerZ = (CONFIG.alienStartZ - PLACEMENT_AREA.depth + CONFIG.playerZ) / 2;
+    camera.up.set(0, 0, -1); // The far end of the field at the top of the screen
+    camera.position.set(0, VIEW_CONFIG.editorCameraHeight, centerZ);
+    camera.lookAt(0, 0, centerZ);
+}
+
+// Left click places the picked type, right click removes the closest alien
+function onEditorPointerDown(event) {
+    if (!isWaveEditorOpen() || !editorTopView) return;
+    
+    const wave = getEditorWave();
+    if (wave.boss || wave.formation !== 'placed') {
+        showEditorMessage('SET THE FORMATION TO PLACED TO PLACE ALIENS', true);
+        return;
+    }
+    
+    const spot = getEditorGridSpot(event);
+    if (!spot) return;
+    
+    if (event.button === 2) {
+        const distance = placement => Math.hypot(placement.x - spot.x, placement.z - spot.z);
+        const closest = wave.placed.reduce((best, placement) => (
+            best === null || distance(placement) < distance(best) ? placement : best
+        ), null);
+        if (!closest || distance(closest) > VIEW_CONFIG.editorPickRadius) return;
+        wave.placed.splice(wave.placed.indexOf(closest), 1);
+    } else if (event.button === 0) {
+        // Clicking a taken spot swaps the alien there
+        wave.placed = wave.placed.filter(placement => placement.x !== spot.x || placement.z !== spot.z);
+        wave.placed.push({ type: editorPlaceType, x: spot.x, z: spot.z });
+    } else {
+        return;
+    }
+    showEditorMessage('', false);
+    updateEditor();
+}
+
+// The grid point under the pointer in wave file coordinates, or null
+// outside the placement area
+function getEditorGridSpot(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, camera);
+    
+    const hit = new THREE.Vector3();
+    const ground = new THREE.Plane(new THREE.Vector3(0, 1, 0), -CONFIG.alienStartY);
+    if (!raycaster.ray.intersectPlane(ground, hit)) return null;
+    
+    // Snap to the drawn grid lines. + 0 turns -0 into 0.
+    const spacing = VIEW_CONFIG.editorGridSpacing;
+    const x = Math.round(hit.x / spacing) * spacing + 0;
+    const z = Math.round((hit.z - CONFIG.alienStartZ) / spacing) * spacing + 0;
+    if (Math.abs(x) > PLACEMENT_AREA.halfWidth || z > 0 || z < -PLACEMENT_AREA.depth) return null;
+    return { x: x, z: z };
+}
+
+// ============================================================================
+// WAVE EDITOR - PREVIEW
+// ============================================================================
+// The wave on show, spawned and held at its first tick until played. The
+// waves before it have to be valid too - boss numbering counts them.
+function resetEditorPreview() {
+    setEditorPreviewing(false);
+    clearGameTimers();
+    clearSceneEntities();
+    document.getElementById('wave-announcement').classList.remove('visible');
+    
+    let waves;
+    try {
+        waves = checkWaves(editorWaves.slice(0, editorWaveIndex + 1));
+    } catch (error) {
+        // Nothing to show until the problems listed are fixed
+        sim = null;
+        return;
+    }
+    try {
+        sim = createSimulation({
+            seed: VIEW_CONFIG.editorPreviewSeed,
+            ability: selectedAbility,
+            waves: waves,
+            wave: editorWaveIndex + 1
+        });
+    } catch (error) {
+        sim = null;
+        showEditorMessage(`CAN'T PREVIEW WAVE ${editorWaveIndex + 1}: ${error.message.split('\n')[0]}`, true);
+        return;
+    }
+    
+    // Previews go without the wave announcement
+    takeEvents(sim);
+}
+
+function setEditorPreviewing(playing) {
+    editorPreviewing = playing;
+    document.getElementById('editor-play-btn').textContent = playing ? '❚❚ PAUSE' : '▶ PLAY';
+}
+
+function toggleEditorPreview() {
+    if (!sim) return;
+    
+    // Playing a finished preview starts it over
+    if (!editorPreviewing && isEditorPreviewOver()) {
+        resetEditorPreview();
+    }
+    setEditorPreviewing(!editorPreviewing);
+}
+
+// One tick of the preview - the wave plays out with the player standing still
+function updateEditorPreview(dt) {
+    if (!editorPreviewing || !sim) return;
+    
+    gameTime += dt * 1000;
+    updateGameTimers();
+    step(sim, dt, [EDITOR_IDLE_COMMAND]);
+    handleSimEvents();
+    updateVisualEffects(dt);
+    
+    if (isEditorPreviewOver()) {
+        setEditorPreviewing(false);
+    }
+}
+
+// Cleared, or got through to the player one way or another
+function isEditorPreviewOver() {
+    return sim.gameOver || sim.waveTransitioning || sim.wave !== editorWaveIndex + 1;
+}
+
+// ============================================================================
+// HIGH SCORES
+// ============================================================================
+function setupHighScores() {
+    highScores = loadHighScores();
+    renderHighScores();
+    
+    // Initials entry on the game-over screen
+    const initialsInput = document.getElementById('initials-input');
+    initialsInput.addEventListener('input', () => {
+        initialsInput.value = normalizeInitials(initialsInput.value);
+    });
+    initialsInput.addEventListener('keydown', (event) => {
+        if (event.code === 'Enter' || event.code === 'NumpadEnter') {
+            submitHighScore();
+        }
+    });
+    document.getElementById('initials-submit-btn').addEventListener('click', submitHighScore);
+    
+    // Export / import
+    document.getElementById('export-scores-btn').addEventListener('click', () => {
+        const blob = new Blob([exportHighScores(highScores)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'space-invaders-high-scores.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+    
+    const fileInput = document.getElementById('import-scores-file');
+    document.getElementById('import-scores-btn').addEventListener('click', () => {
+        fileInput.value = '';
+        fileInput.click();
+    });
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                highScores = importHighScores(highScores, reader.result);
+            } catch (error) {
+                showHighScoreMessage(`${file.name}: ${error.message}`, true);
+                return;
+            }
+            saveHighScores(highScores);
+            renderHighScores();
+            showHighScoreMessage('SCORES IMPORTED', false);
+        };
+        reader.readAsText(file);
+    });
+}
+
+function showHighScoreMessage(message, isError) {
+    const messageElement = document.getElementById('high-scores-message');
+    messageElement.textContent = message;
+    messageElement.classList.toggle('error', isError);
+}
+
+// Rebuild the start-screen table, highlighting a fresh entry
+function renderHighScores(highlightRank = 0) {
+    const body = document.getElementById('high-scores-body');
+    body.innerHTML = '';
+    
+    if (highScores.length === 0) {
+        const row = body.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 6;
+        cell.className = 'empty';
+        cell.textContent = 'NO SCORES YET';
+        return;
+    }
+    
+    highScores.forEach((entry, index) => {
+        const row = body.insertRow();
+        row.classList.toggle('highlight', index + 1 === highlightRank);
+        [
+            index + 1,
+            entry.initials,
+            entry.score,
+            entry.wave,
+            entry.mode === 'full' ? 'FULL' : 'PROTO',
+            entry.date.slice(0, 10)
+        ].forEach((value) => {
+            row.insertCell().textContent = value;
+        });
+    });
+}
+
+function offerHighScoreEntry() {
+    const entryForm = document.getElementById('initials-entry');
+    document.getElementById('high-score-rank').textContent = '';
+    
+    if (!qualifiesForHighScore(highScores, sim.score)) {
+        pendingHighScore = null;
+        entryForm.classList.remove('visible');
+        return;
+    }
+    
+    pendingHighScore = {
+        score: sim.score,
+        wave: sim.wave,
+        mode: gameMode
+    };
+    entryForm.classList.add('visible');
+    
+    const initialsInput = document.getElementById('initials-input');
+    initialsInput.value = '';
+    initialsInput.focus();
+}
+
+function submitHighScore() {
+    const initials = normalizeInitials(document.getElementById('initials-input').value);
+    if (!pendingHighScore || initials.length !== 3) return;
+    
+    const result = addHighScore(highScores, {
+        initials: initials,
+        score: pendingHighScore.score,
+        wave: pendingHighScore.wave,
+        mode: pendingHighScore.mode,
+        date: new Date().toISOString()
+    });
+    highScores = result.list;
+    pendingHighScore = null;
+    saveHighScores(highScores);
+    renderHighScores(result.rank);
+    
+    document.getElementById('initials-entry').classList.remove('visible');
+    document.getElementById('high-score-rank').textContent = `RANKED #${result.rank}`;
 }
 
 // ============================================================================
 // UI UPDATES
 // ============================================================================
-function updateScoreDisplay() {
+// The HUD only observes the simulation - refresh whatever changed
+function updateHud() {
+    // Lives, ability, combo and weapon are player one's - co-op shows every
+    // player's in a block of their own, with the team score on top
+    const player = sim ? sim.players[0] : null;
+    const coop = sim !== null && sim.players.length > 1;
+    const score = sim ? sim.score : 0;
+    const wave = sim ? sim.wave : 1;
+    const lives = player ? Math.max(player.lives, 0) : CONFIG.maxLives;
+    const ability = player ? player.ability : { id: selectedAbility, charge: 0, active: false, endTime: 0 };
+    const abilityTime = ability.active ? Math.ceil((ability.endTime - sim.time) / 100) : 0;
+    const abilityKey = `${ability.id}|${ability.charge}|${ability.active}|${abilityTime}`;
+    
+    if (coop !== hudState.coop) {
+        hudState.coop = coop;
+        document.body.classList.toggle('coop', coop);
+        document.getElementById('score-label').textContent = coop ? 'TEAM' : 'SCORE';
+    }
+    if (score !== hudState.score) {
+        hudState.score = score;
+        updateScoreDisplay(score);
+    }
+    if (wave !== hudState.wave) {
+        hudState.wave = wave;
+        updateWaveDisplay(wave);
+    }
+    if (lives !== hudState.lives) {
+        hudState.lives = lives;
+        updateLivesDisplay(lives);
+    }
+    if (abilityKey !== hudState.ability) {
+        hudState.ability = abilityKey;
+        updateAbilityDisplay(ability, player !== null && isAbilityReady(player));
+    }
+    
+    const combo = player ? player.combo : { chain: 0, multiplier: 1 };
+    const comboKey = `${combo.chain}|${combo.multiplier}`;
+    if (comboKey !== hudState.combo) {
+        hudState.combo = comboKey;
+        updateComboDisplay(combo);
+    }
+    
+    if (coop) {
+        const coopKey = sim.players.map(coopPlayer => [
+            coopPlayer.score,
+            coopPlayer.lives,
+            coopPlayer.out,
+            coopPlayer.combo.chain > 0 ? coopPlayer.combo.multiplier : 0,
+            coopPlayer.weapon,
+            getAbilityMeter(coopPlayer.ability, isAbilityReady(coopPlayer)).status
+        ].join('|')).join(',');
+        if (coopKey !== hudState.coopPlayers) {
+            hudState.coopPlayers = coopKey;
+            updateCoopDisplay(sim.players);
+        }
+    }
+    
+    // Blue tint while time is slowed
+    document.body.classList.toggle('time-slow', sim !== null && isTimeSlowed(sim));
+    
+    const boss = (sim && sim.aliens.find(alien => getEnemyType(alien.type).model.healthBar)) || null;
+    const bossKey = boss ? `${Math.ceil(boss.health)}|${boss.maxHealth}|${boss.phase}` : '';
+    if (bossKey !== hudState.boss) {
+        hudState.boss = bossKey;
+        updateBossHealthDisplay(boss);
+    }
+    
+    const weapon = player ? player.weapon : WEAPONS[0].id;
+    if (weapon !== hudState.weapon) {
+        hudState.weapon = weapon;
+        updateWeaponDisplay(weapon);
+    }
+    
+    // Timed power-ups, to a tenth of a second. Co-op marks whose they are.
+    const effects = [];
+    if (sim) {
+        sim.players.forEach((effectPlayer) => {
+            getActiveEffects(sim, effectPlayer).forEach((effect) => {
+                effects.push(Object.assign({ player: coop ? `P${effectPlayer.index + 1} ` : '' }, effect));
+            });
+        });
+    }
+    const effectsKey = effects.map(effect => `${effect.player}${effect.type}${Math.ceil(effect.remaining / 100)}`).join('|');
+    if (effectsKey !== hudState.effects) {
+        hudState.effects = effectsKey;
+        updatePowerUpDisplay(effects);
+    }
+}
+
+function updateScoreDisplay(score) {
     document.getElementById('score').textContent = score;
 }
 
-function updateWaveDisplay() {
+// Multiplier and chain length under the score, hidden with no chain going
+function updateComboDisplay(combo) {
+    const display = document.getElementById('combo-display');
+    display.classList.toggle('visible', combo.chain > 0);
+    document.getElementById('combo-multiplier').textContent = `x${combo.multiplier}`;
+    document.getElementById('combo-chain').textContent = `${combo.chain} CHAIN`;
+}
+
+function updateWaveDisplay(wave) {
     document.getElementById('wave').textContent = wave;
 }
 
-function updateLivesDisplay() {
+function updateLivesDisplay(lives) {
     const heartsString = '❤️'.repeat(lives) + '🖤'.repeat(CONFIG.maxLives - lives);
     document.getElementById('lives').textContent = heartsString;
 }
 
-function showWaveAnnouncement() {
+// Every weapon with its number key, the equipped one lit up
+function updateWeaponDisplay(weaponId) {
+    const display = document.getElementById('weapon-display');
+    display.innerHTML = '';
+    
+    WEAPONS.forEach((weapon, index) => {
+        const line = document.createElement('div');
+        line.textContent = `[${index + 1}] ${weapon.name}`;
+        line.classList.toggle('equipped', weapon.id === weaponId);
+        display.appendChild(line);
+    });
+}
+
+// One line per running effect with its countdown
+function updatePowerUpDisplay(effects) {
+    const display = document.getElementById('powerup-display');
+    display.innerHTML = '';
+    
+    effects.forEach((effect) => {
+        const line = document.createElement('div');
+        const color = VIEW_CONFIG.powerUpColors[effect.type].toString(16).padStart(6, '0');
+        line.style.color = `#${color}`;
+        line.style.textShadow = `0 0 10px #${color}`;
+        line.textContent = `${effect.player}${VIEW_CONFIG.powerUpNames[effect.type]} ${(Math.ceil(effect.remaining / 100) / 10).toFixed(1)}s`;
+        display.appendChild(line);
+    });
+}
+
+// Health bar across the top while a boss is alive, with its phase if it
+// has phases
+function updateBossHealthDisplay(boss) {
+    const display = document.getElementById('boss-health');
+    display.classList.toggle('visible', boss !== null);
+    if (!boss) return;
+    
+    const name = getEnemyType(boss.type).model.healthBar;
+    const fraction = Math.max(boss.health, 0) / boss.maxHealth;
+    document.getElementById('boss-health-fill').style.width = `${fraction * 100}%`;
+    document.getElementById('boss-health-label').textContent =
+        boss.phase !== undefined ? `${name} - PHASE ${boss.phase + 1}` : name;
+    display.dataset.phase = boss.phase !== undefined ? boss.phase : 0;
+}
+
+function showWaveAnnouncement(wave, boss = false) {
     const announcement = document.getElementById('wave-announcement');
-    announcement.textContent = `WAVE ${wave}`;
+    announcement.textContent = boss ? `WAVE ${wave} - BOSS` : `WAVE ${wave}`;
+    announcement.classList.toggle('boss', boss);
     announcement.classList.add('visible');
     
-    setTimeout(() => {
+    setGameTimeout(() => {
         announcement.classList.remove('visible');
     }, 2000);
 }
 
 // ============================================================================
-// WAVE MANAGEMENT
+// DEBUG - HIT VOLUMES
 // ============================================================================
-function checkWaveComplete() {
-    if (aliens.length === 0 && !waveTransitioning) {
-        waveTransitioning = true;
-        wave++;
-        updateWaveDisplay();
-        showWaveAnnouncement();
-        
-        // Check if laser becomes available this wave
-        checkLaserAvailability();
-        
-        // Small delay before spawning new wave
-        setTimeout(() => {
-            spawnAlienGrid();
-            waveTransitioning = false;
-        }, 1500);
+// Outlines of the shapes the simulation collides, drawn over everything
+function createHitVolumeLines() {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(VIEW_CONFIG.hitVolumeMaxVertices * 3), 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(VIEW_CONFIG.hitVolumeMaxVertices * 3), 3));
+    geometry.setDrawRange(0, 0);
+    
+    const material = new THREE.LineBasicMaterial({
+        vertexColors: true,
+        depthTest: false
+    });
+    
+    hitVolumeLines = new THREE.LineSegments(geometry, material);
+    hitVolumeLines.frustumCulled = false;
+    hitVolumeLines.renderOrder = 1;
+    hitVolumeLines.visible = false;
+    scene.add(hitVolumeLines);
+}
+
+function toggleHitVolumes() {
+    hitVolumeLines.visible = !hitVolumeLines.visible;
+}
+
+// Rebuild the outlines from the simulation's current hit volumes
+function updateHitVolumeLines() {
+    if (!hitVolumeLines.visible) return;
+    
+    const geometry = hitVolumeLines.geometry;
+    const positions = geometry.attributes.position.array;
+    const colors = geometry.attributes.color.array;
+    const color = new THREE.Color();
+    let vertexCount = 0;
+    
+    function addVertex(x, z) {
+        positions.set([x, 0, z], vertexCount * 3);
+        colors.set([color.r, color.g, color.b], vertexCount * 3);
+        vertexCount++;
+    }
+    
+    function addSegment(x1, z1, x2, z2) {
+        if (vertexCount + 2 > VIEW_CONFIG.hitVolumeMaxVertices) return;
+        addVertex(x1, z1);
+        addVertex(x2, z2);
     }
+    
+    const volumes = sim ? getHitVolumes(sim) : [];
+    volumes.forEach((volume) => {
+        volume.parts.forEach((part) => {
+            color.setHex(VIEW_CONFIG.hitVolumeColors[part.weakPoint ? 'weakPoint' : volume.kind]);
+            
+            if (part.shape === 'circle') {
+                const segments = VIEW_CONFIG.hitVolumeSegments;
+                for (let i = 0; i < segments; i++) {
+                    const a1 = (i / segments) * Math.PI * 2;
+                    const a2 = ((i + 1) / segments) * Math.PI * 2;
+                    addSegment(
+                        part.x + Math.cos(a1) * part.radius, part.z + Math.sin(a1) * part.radius,
+                        part.x + Math.cos(a2) * part.radius, part.z + Math.sin(a2) * part.radius
+                    );
+                }
+            } else {
+                const left = part.x - part.halfWidth;
+                const right = part.x + part.halfWidth;
+                const back = part.z - part.halfDepth;
+                const front = part.z + part.halfDepth;
+                addSegment(left, back, right, back);
+                addSegment(right, back, right, front);
+                addSegment(right, front, left, front);
+                addSegment(left, front, left, back);
+            }
+        });
+    });
+    
+    geometry.setDrawRange(0, vertexCount);
+    geometry.attributes.position.needsUpdate = true;
+    geometry.attributes.color.needsUpdate = true;
 }
 
 // ============================================================================
@@ -1686,50 +3884,311 @@ function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
+    resizeParticles(particles, camera, window.innerHeight * renderer.getPixelRatio());
 }
 
 // ============================================================================
-// GAME LOOP
+// GRAPHICS QUALITY
 // ============================================================================
-function animate() {
-    requestAnimationFrame(animate);
+// Apply the current graphics settings to the live scene - no reload needed
+function applyGraphics() {
+    const quality = getQuality(graphicsSettings);
     
-    // Update shooting stars (always, even on start screen)
-    updateShootingStars();
-    
-    // Don't update game logic if game not started or game over
-    if (gameStarted && !gameOver) {
-        // Update player
-        updatePlayer();
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, quality.pixelRatioCap));
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    resizeParticles(particles, camera, window.innerHeight * renderer.getPixelRatio());
+    
+    // Materials compile differently with shadows on, so rebuild them when it flips
+    if (renderer.shadowMap.enabled !== quality.shadows) {
+        renderer.shadowMap.enabled = quality.shadows;
+        scene.traverse((object) => {
+            if (object.material) {
+                [].concat(object.material).forEach(material => material.needsUpdate = true);
+            }
+        });
+    }
+    sunLight.castShadow = quality.shadows;
+    if (sunLight.shadow.mapSize.width !== quality.shadowMapSize) {
+        sunLight.shadow.mapSize.set(quality.shadowMapSize, quality.shadowMapSize);
         
-        // Handle shooting
-        if (keys.shoot) {
-            shoot();
+        // The old map is the wrong size - three makes a new one on the next render
+        if (sunLight.shadow.map) {
+            sunLight.shadow.map.dispose();
+            sunLight.shadow.map = null;
         }
-        
-        // Handle laser
-        if (keys.laser) {
-            fireLaser();
-            keys.laser = false; // Prevent multiple fires
+    }
+    
+    if (!starfield || starfield.geometry.attributes.position.count !== quality.starCount) {
+        createStarfield(quality.starCount);
+    }
+    
+    setParticleDensity(particles, quality.particleDensity);
+}
+
+function setupGraphicsMenu() {
+    document.getElementById('graphics-btn').addEventListener('click', openGraphicsMenu);
+    document.getElementById('pause-graphics-btn').addEventListener('click', openGraphicsMenu);
+    document.getElementById('graphics-done-btn').addEventListener('click', closeGraphicsMenu);
+    
+    document.querySelectorAll('[data-quality-preset]').forEach((button) => {
+        button.addEventListener('click', () => {
+            graphicsSettings.preset = button.dataset.qualityPreset;
+            updateGraphics();
+        });
+    });
+    
+    // One control per setting, tagged with the setting it changes
+    const shadowMapSelect = document.querySelector('[data-quality-setting="shadowMapSize"]');
+    SHADOW_MAP_SIZES.forEach((size) => {
+        const option = document.createElement('option');
+        option.value = size;
+        option.textContent = size;
+        shadowMapSelect.appendChild(option);
+    });
+    document.querySelectorAll('[data-quality-setting]').forEach((control) => {
+        control.addEventListener('input', () => {
+            const value = control.type === 'checkbox' ? control.checked : Number(control.value);
+            setQualityValue(graphicsSettings, control.dataset.qualitySetting, value);
+            updateGraphics();
+        });
+    });
+    
+    document.getElementById('auto-quality').addEventListener('input', (event) => {
+        graphicsSettings.auto = event.target.checked;
+        updateGraphics();
+    });
+}
+
+function isGraphicsMenuOpen() {
+    return document.getElementById('graphics-menu').classList.contains('visible');
+}
+
+function openGraphicsMenu() {
+    updateGraphicsMenu();
+    document.getElementById('graphics-menu').classList.add('visible');
+}
+
+function closeGraphicsMenu() {
+    document.getElementById('graphics-menu').classList.remove('visible');
+}
+
+// Save, apply and show a changed setting
+function updateGraphics() {
+    saveGraphicsSettings(graphicsSettings);
+    applyGraphics();
+    updateGraphicsMenu();
+}
+
+function updateGraphicsMenu() {
+    const quality = getQuality(graphicsSettings);
+    
+    document.querySelectorAll('[data-quality-preset]').forEach((button) => {
+        button.classList.toggle('selected', button.dataset.qualityPreset === graphicsSettings.preset);
+    });
+    document.querySelectorAll('[data-quality-setting]').forEach((control) => {
+        const value = quality[control.dataset.qualitySetting];
+        if (control.type === 'checkbox') {
+            control.checked = value;
+        } else {
+            control.value = value;
         }
         
-        // Update bullets
-        updateBullets();
+        // Sliders show their value next to them
+        const readout = control.parentElement.querySelector('.quality-value');
+        if (readout) {
+            readout.textContent = value;
+        }
+    });
+    document.getElementById('auto-quality').checked = graphicsSettings.auto;
+}
+
+// Auto quality - drop a preset when frames have been slow for a while
+function updateAutoQuality(frameDelta) {
+    // Skip the first frame and clamped ones (e.g. back from another tab)
+    if (!graphicsSettings.auto || frameDelta === 0 || frameDelta >= MAX_FRAME_DELTA) return;
+    if (!recordFrameTime(frameMonitor, frameDelta * 1000)) return;
+    
+    const lower = getLowerPreset(graphicsSettings);
+    if (lower) {
+        graphicsSettings.preset = lower;
+        updateGraphics();
+        showNotice(`GRAPHICS LOWERED TO ${lower.toUpperCase()}`);
+    }
+}
+
+// ============================================================================
+// GAME LOOP
+// ============================================================================
+function startGameLoop() {
+    // Only ever run one loop
+    if (animationFrameId !== null) return;
+    animationFrameId = requestAnimationFrame(animate);
+}
+
+// One fixed simulation tick of `dt` seconds
+function fixedUpdate(dt) {
+    // Update shooting stars (always, even on start screen)
+    updateShootingStars(dt);
+    
+    // Watching a replay - playback drives the simulation
+    if (replayPlayer) {
+        updateReplayPlayback();
+        return;
+    }
+    
+    // Previewing a wave in the editor
+    if (isWaveEditorOpen()) {
+        updateEditorPreview(dt);
+        return;
+    }
+    
+    // Don't update game logic if game not started, paused or game over
+    if (!isGameRunning()) return;
+    
+    // Advance the view clock and fire any due timers
+    gameTime += dt * 1000;
+    updateGameTimers();
+    
+    // Advance the game rules, recording the input for the replay
+    const commands = sim.players.map((player, i) => takeInput(i === 0 ? input : playerTwoInput));
+    recordInput(recorder, commands);
+    step(sim, dt, commands);
+    
+    // React to what happened this tick
+    handleSimEvents();
+    updateVisualEffects(dt);
+}
+
+// Effects move on the game clock, one tick at a time, so they hold still
+// whenever the simulation does
+function updateVisualEffects(dt) {
+    emitTrails(dt);
+    updateParticles(particles, dt);
+    updateDyingAliens();
+}
+
+function animate(timestamp) {
+    animationFrameId = requestAnimationFrame(animate);
+    
+    // Real time since last frame, in seconds
+    const frameDelta = lastFrameTime === null ? 0 : Math.min((timestamp - lastFrameTime) / 1000, MAX_FRAME_DELTA);
+    lastFrameTime = timestamp;
+    
+    // Read the controller before the ticks that use it
+    updateGamepad();
+    
+    // Slow frames may lower the graphics quality
+    updateAutoQuality(frameDelta);
+    
+    // Run as many fixed ticks as the elapsed time covers
+    accumulator += frameDelta;
+    while (accumulator >= FIXED_TIMESTEP) {
+        fixedUpdate(FIXED_TIMESTEP);
+        accumulator -= FIXED_TIMESTEP;
+    }
+    
+    // Mirror the simulation into the scene and HUD
+    syncScene();
+    updateHitVolumeLines();
+    updateHud();
+    updateScorePopups();
+    updateReplayControls();
+    updateMusic(audio, getMusicTempo());
+    
+    // Render between the last two ticks
+    renderInterpolated(accumulator / FIXED_TIMESTEP);
+}
+
+// ============================================================================
+// RENDER INTERPOLATION
+// ============================================================================
+// Place every object between its previous and current simulated position
+function renderInterpolated(alpha) {
+    const lerp = THREE.MathUtils.lerp;
+    
+    // Player ships - laser beams and shields follow them
+    playerObjects.forEach((objects, i) => {
+        const player = sim ? sim.players[i] : null;
+        const playerX = player ? lerp(player.prevX, player.x, alpha) : 0;
+        if (objects.ship) {
+            objects.ship.position.x = playerX;
+        }
+        updateLaserBeam(objects, playerX);
+        updateShieldBubble(objects, playerX);
         
-        // Update laser beam
-        updateLaser();
+        // Clone ship
+        if (objects.cloneShip && player && player.clone) {
+            objects.cloneShip.position.x = lerp(player.clone.prevX, player.clone.x, alpha);
+        }
+    });
+    
+    if (sim) {
+        // Aliens
+        sim.aliens.forEach((alien) => {
+            const mesh = alienMeshes.get(alien.id);
+            if (!mesh) return;
+            mesh.position.set(
+                lerp(alien.prevX, alien.x, alpha),
+                alien.y,
+                lerp(alien.prevZ, alien.z, alpha)
+            );
+            
+            // Wobble aggressively while charging
+            if (alien.isCharging) {
+                mesh.rotation.z = Math.sin(gameTime * 0.02) * 0.2;
+            }
+            
+            // Bosses bank gently as they sway
+            const bank = getEnemyType(alien.type).model.bank;
+            if (bank) {
+                mesh.rotation.z = Math.sin(gameTime * bank.speed) * bank.angle;
+            }
+        });
         
-        // Update aliens (move toward player)
-        updateAliens();
+        // Bullets
+        sim.bullets.forEach((bullet) => {
+            const mesh = bulletMeshes.get(bullet.id);
+            if (!mesh) return;
+            mesh.position.set(
+                lerp(bullet.prevX, bullet.x, alpha),
+                bullet.y,
+                lerp(bullet.prevZ, bullet.z, alpha)
+            );
+        });
         
-        // Check bullet-alien collisions
-        checkCollisions();
+        // Enemy projectiles
+        sim.enemyBullets.forEach((projectile) => {
+            const mesh = enemyBulletMeshes.get(projectile.id);
+            if (!mesh) return;
+            mesh.position.set(
+                lerp(projectile.prevX, projectile.x, alpha),
+                projectile.y,
+                lerp(projectile.prevZ, projectile.z, alpha)
+            );
+            
+            // Spin the core
+            mesh.children[0].rotation.y = gameTime * 0.01;
+        });
         
-        // Check if wave complete
-        checkWaveComplete();
+        // Power-ups
+        sim.powerUps.forEach((powerUp) => {
+            const mesh = powerUpMeshes.get(powerUp.id);
+            if (!mesh) return;
+            mesh.position.set(
+                lerp(powerUp.prevX, powerUp.x, alpha),
+                powerUp.y + Math.sin(gameTime * 0.005) * 0.2,
+                lerp(powerUp.prevZ, powerUp.z, alpha)
+            );
+            mesh.children[0].rotation.y = gameTime * 0.004;
+            mesh.children[1].rotation.x = gameTime * 0.003;
+        });
     }
     
-    // Render
+    // Shooting stars
+    shootingStars.forEach((shootingStar) => {
+        shootingStar.mesh.position.lerpVectors(shootingStar.prevPosition, shootingStar.position, alpha);
+    });
+    
     renderer.render(scene, camera);
 }
 
@@ -0,0 +1,155 @@
+// ============================================================================
+// GRAPHICS QUALITY
+// ============================================================================
+// Presets trade looks for speed on weaker machines. Custom keeps its own
+// values, and auto quality steps down a preset whenever frames get slow.
+// Settings are saved in localStorage.
+//
+//   pixelRatioCap         - highest device pixel ratio rendered at
+//   shadows               - directional light casts shadows
+//   shadowMapSize         - shadow map resolution, in pixels per side
+//   starCount             - background stars
+//   particleDensity       - fraction of each particle effect spawned, 0 to 1
+//   shootingStarFrequency - shooting star rate, 1 is normal, 0 is none
+
+const STORAGE_KEY = 'spaceInvaders.graphics';
+
+export const QUALITY_PRESETS = {
+    low: {
+        pixelRatioCap: 1,
+        shadows: false,
+        shadowMapSize: 512,
+        starCount: 500,
+        particleDensity: 0.35,
+        shootingStarFrequency: 0.25
+    },
+    medium: {
+        pixelRatioCap: 1.5,
+        shadows: true,
+        shadowMapSize: 1024,
+        starCount: 1200,
+        particleDensity: 0.7,
+        shootingStarFrequency: 0.6
+    },
+    high: {
+        pixelRatioCap: 3,
+        shadows: true,
+        shadowMapSize: 2048,
+        starCount: 2000,
+        particleDensity: 1,
+        shootingStarFrequency: 1
+    }
+};
+
+// Auto quality steps down in this order
+const PRESET_ORDER = ['high', 'medium', 'low'];
+
+export const SHADOW_MAP_SIZES = [512, 1024, 2048, 4096];
+
+// Auto quality - average frame time over a window of frames
+export const AUTO_QUALITY = {
+    sampleFrames: 120,
+    slowFrameTime: 1000 / 45, // milliseconds - below ~45 fps
+    cooldownFrames: 180 // Let a change settle before judging again
+};
+
+const DEFAULT_SETTINGS = {
+    preset: 'high',
+    custom: { ...QUALITY_PRESETS.high },
+    auto: false
+};
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+export function loadGraphicsSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored === null || typeof stored !== 'object') return structuredClone(DEFAULT_SETTINGS);
+        
+        const valid = PRESET_ORDER.includes(stored.preset) || stored.preset === 'custom';
+        return {
+            preset: valid ? stored.preset : DEFAULT_SETTINGS.preset,
+            custom: sanitizeQuality(stored.custom),
+            auto: stored.auto === true
+        };
+    } catch (error) {
+        // Corrupt or blocked storage - use the defaults
+        return structuredClone(DEFAULT_SETTINGS);
+    }
+}
+
+export function saveGraphicsSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error('Could not save graphics settings:', error);
+    }
+}
+
+// Fill in anything missing or out of range from the high preset
+function sanitizeQuality(quality) {
+    const result = { ...QUALITY_PRESETS.high };
+    if (!quality || typeof quality !== 'object') return result;
+    
+    const number = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+    if (number(quality.pixelRatioCap, 0.5, 3)) result.pixelRatioCap = quality.pixelRatioCap;
+    if (typeof quality.shadows === 'boolean') result.shadows = quality.shadows;
+    if (SHADOW_MAP_SIZES.includes(quality.shadowMapSize)) result.shadowMapSize = quality.shadowMapSize;
+    if (number(quality.starCount, 0, 5000)) result.starCount = Math.round(quality.starCount);
+    if (number(quality.particleDensity, 0, 1)) result.particleDensity = quality.particleDensity;
+    if (number(quality.shootingStarFrequency, 0, 2)) result.shootingStarFrequency = quality.shootingStarFrequency;
+    return result;
+}
+
+// The values in effect for the settings' preset
+export function getQuality(settings) {
+    return settings.preset === 'custom' ? settings.custom : QUALITY_PRESETS[settings.preset];
+}
+
+// Change one value - this turns the settings into a custom preset
+export function setQualityValue(settings, key, value) {
+    settings.custom = sanitizeQuality({ ...getQuality(settings), [key]: value });
+    settings.preset = 'custom';
+}
+
+// ============================================================================
+// AUTO QUALITY
+// ============================================================================
+export function createFrameMonitor() {
+    return {
+        total: 0, // milliseconds over the current window
+        frames: 0,
+        cooldown: 0
+    };
+}
+
+// Call once per rendered frame. Returns true when the last window of frames
+// ran slow enough that quality should drop.
+export function recordFrameTime(monitor, frameTime) {
+    if (monitor.cooldown > 0) {
+        monitor.cooldown--;
+        return false;
+    }
+    
+    monitor.total += frameTime;
+    monitor.frames++;
+    if (monitor.frames < AUTO_QUALITY.sampleFrames) return false;
+    
+    const slow = monitor.total / monitor.frames > AUTO_QUALITY.slowFrameTime;
+    monitor.total = 0;
+    monitor.frames = 0;
+    if (slow) {
+        monitor.cooldown = AUTO_QUALITY.cooldownFrames;
+    }
+    return slow;
+}
+
+// The next preset down, or null if there is nothing cheaper to go to.
+// Custom settings drop to the best preset with a lower pixel ratio cap.
+export function getLowerPreset(settings) {
+    if (settings.preset === 'custom') {
+        return PRESET_ORDER.find(id => QUALITY_PRESETS[id].pixelRatioCap < settings.custom.pixelRatioCap) || null;
+    }
+    return PRESET_ORDER[PRESET_ORDER.indexOf(settings.preset) + 1] || null;
+}
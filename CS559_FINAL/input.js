@@ -0,0 +1,173 @@
+// ============================================================================
+// INPUT
+// ============================================================================
+// Keyboard, touch buttons and a gamepad all feed one input state. Each source
+// keeps its own held buttons, so letting go of a touch button doesn't cancel
+// the same action still held on the keyboard. Once per tick takeInput()
+// merges them into the command the simulation steps with:
+//
+//   move    - -1 (full left) to 1 (full right), in steps of 1 / MOVE_STEPS
+//   shoot   - fire held on any source
+//   ability - ability pressed since the last tick
+//   weapon  - 1-based weapon slot picked since the last tick, 0 for none
+
+// Analog movement is rounded to this many steps each way, so a replay can
+// store exactly what the simulation saw
+export const MOVE_STEPS = 8;
+
+// Standard gamepad layout (https://w3c.github.io/gamepad/#remapping)
+export const GAMEPAD = {
+    moveAxis: 0, // Left stick, horizontal
+    deadZone: 0.2, // Stick travel ignored around the center
+    buttons: {
+        shoot: [0], // A / Cross
+        ability: [1, 2], // B / Circle, X / Square
+        previousWeapon: [4], // Left bumper
+        nextWeapon: [5], // Right bumper
+        pause: [9], // Start / Options
+        left: [14], // D-pad
+        right: [15]
+    }
+};
+
+function createSource() {
+    return {
+        left: false,
+        right: false,
+        shoot: false,
+        axis: 0 // Analog movement, -1 to 1
+    };
+}
+
+export function createInput() {
+    return {
+        sources: {
+            keyboard: createSource(),
+            touch: createSource(),
+            gamepad: createSource()
+        },
+        ability: false, // Pressed since the last tick
+        weapon: 0, // Slot picked since the last tick
+        gamepadIndex: null, // navigator.getGamepads() slot in use
+        gamepadButtons: [] // Button states at the last poll, for new presses
+    };
+}
+
+// action: 'left', 'right' or 'shoot'
+export function setHeld(input, source, action, held) {
+    input.sources[source][action] = held;
+}
+
+export function pressAbility(input) {
+    input.ability = true;
+}
+
+export function pickWeapon(input, slot) {
+    input.weapon = slot;
+}
+
+// Let go of everything, e.g. on pause - key releases may never arrive
+export function releaseInput(input) {
+    Object.keys(input.sources).forEach((name) => {
+        input.sources[name] = createSource();
+    });
+    input.ability = false;
+    input.weapon = 0;
+}
+
+// The command for this tick. Presses are used up by reading them.
+export function takeInput(input) {
+    let move = 0;
+    Object.values(input.sources).forEach((source) => {
+        if (source.left) move -= 1;
+        if (source.right) move += 1;
+        move += source.axis;
+    });
+    move = Math.max(-1, Math.min(1, move));
+    
+    const command = {
+        move: Math.round(move * MOVE_STEPS) / MOVE_STEPS,
+        shoot: Object.values(input.sources).some(source => source.shoot),
+        ability: input.ability,
+        weapon: input.weapon
+    };
+    input.ability = false;
+    input.weapon = 0;
+    return command;
+}
+
+// ============================================================================
+// GAMEPAD
+// ============================================================================
+// The Gamepad API has no button events - poll once per frame.
+// Returns the actions newly pressed since the last poll ('ability', 'pause',
+// 'previousWeapon', 'nextWeapon') and leaves it to the caller to act on them.
+export function pollGamepad(input) {
+    const gamepad = findGamepad(input);
+    const source = input.sources.gamepad;
+    if (!gamepad) {
+        input.sources.gamepad = createSource();
+        input.gamepadButtons = [];
+        return [];
+    }
+    
+    const isDown = action => GAMEPAD.buttons[action].some(button => isButtonDown(gamepad, button));
+    source.left = isDown('left');
+    source.right = isDown('right');
+    source.shoot = isDown('shoot');
+    source.axis = applyDeadZone(gamepad.axes[GAMEPAD.moveAxis] || 0);
+    
+    // Buttons that went down since the last poll
+    const pressed = [];
+    ['ability', 'pause', 'previousWeapon', 'nextWeapon'].forEach((action) => {
+        const wasDown = GAMEPAD.buttons[action].some(button => input.gamepadButtons[button]);
+        if (isDown(action) && !wasDown) {
+            pressed.push(action);
+        }
+    });
+    input.gamepadButtons = gamepad.buttons.map(button => button.pressed);
+    return pressed;
+}
+
+// Switch to a newly plugged in gamepad
+export function connectGamepad(input, gamepad) {
+    input.gamepadIndex = gamepad.index;
+    input.gamepadButtons = gamepad.buttons.map(button => button.pressed);
+}
+
+// Returns true if it was the gamepad in use
+export function disconnectGamepad(input, gamepad) {
+    if (input.gamepadIndex !== gamepad.index) return false;
+    
+    input.gamepadIndex = null;
+    input.sources.gamepad = createSource();
+    input.gamepadButtons = [];
+    return true;
+}
+
+// The gamepad in use, or the first connected one (pads plugged in before the
+// page loaded may never send a connected event)
+function findGamepad(input) {
+    if (!navigator.getGamepads) return null;
+    
+    const gamepads = navigator.getGamepads();
+    if (input.gamepadIndex !== null && gamepads[input.gamepadIndex]) {
+        return gamepads[input.gamepadIndex];
+    }
+    const gamepad = Array.from(gamepads).find(pad => pad && pad.connected);
+    if (gamepad) {
+        connectGamepad(input, gamepad);
+    }
+    return gamepad || null;
+}
+
+function isButtonDown(gamepad, index) {
+    return gamepad.buttons[index] !== undefined && gamepad.buttons[index].pressed;
+}
+
+// Zero inside the dead zone, rescaled so the edge of it starts from zero
+function applyDeadZone(value) {
+    const magnitude = Math.abs(value);
+    if (magnitude < GAMEPAD.deadZone) return 0;
+    return Math.sign(value) * Math.min((magnitude - GAMEPAD.deadZone) / (1 - GAMEPAD.deadZone), 1);
+}
@@ -0,0 +1,101 @@
+// ============================================================================
+// HIGH SCORES
+// ============================================================================
+// Top-10 table kept in localStorage. Entries are plain objects:
+// { initials, score, wave, mode, date } with date as an ISO string.
+
+const STORAGE_KEY = 'spaceInvaders.highScores';
+export const MAX_HIGH_SCORES = 10;
+
+function isValidEntry(entry) {
+    return entry !== null &&
+        typeof entry === 'object' &&
+        typeof entry.initials === 'string' && /^[A-Z]{3}$/.test(entry.initials) &&
+        Number.isInteger(entry.score) && entry.score >= 0 &&
+        Number.isInteger(entry.wave) && entry.wave >= 1 &&
+        (entry.mode === 'prototype' || entry.mode === 'full') &&
+        typeof entry.date === 'string' && !isNaN(Date.parse(entry.date));
+}
+
+// Highest score first; ties go to whoever got there first
+function sortHighScores(list) {
+    return list.slice().sort((a, b) => b.score - a.score || Date.parse(a.date) - Date.parse(b.date));
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+export function loadHighScores() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (!Array.isArray(stored)) return [];
+        return sortHighScores(stored.filter(isValidEntry)).slice(0, MAX_HIGH_SCORES);
+    } catch (error) {
+        // Corrupt or blocked storage - start with an empty table
+        return [];
+    }
+}
+
+export function saveHighScores(list) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+    } catch (error) {
+        console.error('Could not save high scores:', error);
+    }
+}
+
+// ============================================================================
+// TABLE UPDATES
+// ============================================================================
+export function qualifiesForHighScore(list, score) {
+    if (score <= 0) return false;
+    if (list.length < MAX_HIGH_SCORES) return true;
+    return score > list[list.length - 1].score;
+}
+
+// Returns the new table and the 1-based rank of the entry (0 if it didn't make it)
+export function addHighScore(list, entry) {
+    const updated = sortHighScores(list.concat([entry])).slice(0, MAX_HIGH_SCORES);
+    return {
+        list: updated,
+        rank: updated.indexOf(entry) + 1
+    };
+}
+
+export function normalizeInitials(text) {
+    return String(text || '').toUpperCase().replace(/[^A-Z]/g, '').slice(0, 3);
+}
+
+// ============================================================================
+// EXPORT / IMPORT
+// ============================================================================
+export function exportHighScores(list) {
+    return JSON.stringify({ highScores: list }, null, 2);
+}
+
+// Merge an exported table into ours - throws an Error describing bad files
+export function importHighScores(list, text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('High score file is not valid JSON');
+    }
+    
+    const imported = data && Array.isArray(data.highScores) ? data.highScores : null;
+    if (!imported) {
+        throw new Error('High score file has no "highScores" list');
+    }
+    
+    const invalidIndex = imported.findIndex(entry => !isValidEntry(entry));
+    if (invalidIndex !== -1) {
+        throw new Error(`High score entry ${invalidIndex + 1} is invalid`);
+    }
+    
+    // Skip entries we already have (same initials, score and date)
+    const key = entry => `${entry.initials}|${entry.score}|${entry.date}`;
+    const existing = new Set(list.map(key));
+    const merged = list.concat(imported.filter(entry => !existing.has(key(entry))));
+    
+    return sortHighScores(merged).slice(0, MAX_HIGH_SCORES);
+}
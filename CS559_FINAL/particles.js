@@ -0,0 +1,217 @@
+import * as THREE from 'three';
+
+// ============================================================================
+// PARTICLES
+// ============================================================================
+// Every particle effect in the game shares one THREE.Points object. The main
+// loop steps the particles with the game clock, so they freeze when the game
+// does and fade at the same speed at any frame rate.
+//
+// Emitters describe an effect. Bursts spawn `count` particles at once,
+// continuous emitters spawn `rate` particles per second while they run.
+// The system's density scales both, to go easier on slow machines.
+//
+//   count    - particles per burst
+//   rate     - particles per second for continuous emitters
+//   speed    - top random speed along each axis, units per second
+//   velocity - { x, y, z } added to every particle, e.g. to stream backwards
+//   life     - milliseconds before a particle is gone
+//   size     - diameter in world units at birth
+//   endSize  - diameter when it dies
+//   colors   - one is picked per particle; `options.color` overrides them
+
+export const EMITTERS = {
+    explosion: {
+        count: 20,
+        speed: 9,
+        life: 330,
+        size: 0.3,
+        endSize: 0.1,
+        colors: [0xff6600, 0xffff00]
+    },
+    hitSpark: {
+        count: 8,
+        speed: 6,
+        life: 170,
+        size: 0.2,
+        endSize: 0.1,
+        colors: [0xffaa00]
+    },
+    engineTrail: {
+        rate: 90,
+        speed: 0.6,
+        velocity: { x: 0, y: 0, z: 6 },
+        life: 250,
+        size: 0.3,
+        endSize: 0,
+        colors: [0xff6600, 0xff4400, 0xffaa00]
+    },
+    bulletTrail: {
+        rate: 45,
+        speed: 0.3,
+        life: 180,
+        size: 0.2,
+        endSize: 0,
+        colors: [0xffffff]
+    }
+};
+
+const vertexShader = `
+    attribute float size;
+    attribute vec4 particleColor;
+    uniform float scale;
+    varying vec4 vColor;
+    
+    void main() {
+        vColor = particleColor;
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        gl_PointSize = size * scale / -mvPosition.z;
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const fragmentShader = `
+    varying vec4 vColor;
+    
+    void main() {
+        // Round, soft-edged points
+        float radius = length(gl_PointCoord - 0.5);
+        if (radius > 0.5) discard;
+        gl_FragColor = vec4(vColor.rgb, vColor.a * (1.0 - radius * 2.0));
+    }
+`;
+
+// capacity: the most particles alive at once - new ones are dropped past it
+export function createParticleSystem(capacity) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+    geometry.setAttribute('particleColor', new THREE.BufferAttribute(new Float32Array(capacity * 4), 4));
+    geometry.setAttribute('size', new THREE.BufferAttribute(new Float32Array(capacity), 1));
+    geometry.setDrawRange(0, 0);
+    
+    const material = new THREE.ShaderMaterial({
+        uniforms: { scale: { value: 1 } },
+        vertexShader: vertexShader,
+        fragmentShader: fragmentShader,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    });
+    
+    const points = new THREE.Points(geometry, material);
+    points.frustumCulled = false; // Particles are everywhere - skip the bounds check
+    
+    // Particle records are reused - the first `count` are alive
+    const particles = [];
+    for (let i = 0; i < capacity; i++) {
+        particles.push({
+            x: 0, y: 0, z: 0,
+            vx: 0, vy: 0, vz: 0,
+            age: 0, life: 0,
+            size: 0, endSize: 0,
+            color: new THREE.Color()
+        });
+    }
+    
+    return {
+        points: points,
+        particles: particles,
+        count: 0,
+        density: 1 // Fraction of every effect actually spawned
+    };
+}
+
+// density: 0 to 1
+export function setParticleDensity(system, density) {
+    system.density = density;
+}
+
+// Match point sizes to the viewport - call on resize and pixel ratio changes
+export function resizeParticles(system, camera, heightInPixels) {
+    const fov = THREE.MathUtils.degToRad(camera.fov);
+    system.points.material.uniforms.scale.value = heightInPixels / (2 * Math.tan(fov / 2));
+}
+
+// A burst of `options.count` (or the emitter's count) particles at position.
+// random: a () => [0, 1) source, so effects stay out of the gameplay stream
+export function emitParticles(system, emitter, position, random, options = {}) {
+    // Continuous emitters pass a count already scaled by the density
+    const count = options.count !== undefined ? options.count : Math.round(emitter.count * system.density);
+    const velocity = emitter.velocity || { x: 0, y: 0, z: 0 };
+    
+    for (let i = 0; i < count && system.count < system.particles.length; i++) {
+        const particle = system.particles[system.count++];
+        particle.x = position.x;
+        particle.y = position.y;
+        particle.z = position.z;
+        particle.vx = velocity.x + (random() - 0.5) * 2 * emitter.speed;
+        particle.vy = velocity.y + (random() - 0.5) * 2 * emitter.speed;
+        particle.vz = velocity.z + (random() - 0.5) * 2 * emitter.speed;
+        particle.age = 0;
+        particle.life = emitter.life;
+        particle.size = emitter.size;
+        particle.endSize = emitter.endSize;
+        
+        const color = options.color !== undefined
+            ? options.color
+            : emitter.colors[Math.floor(random() * emitter.colors.length)];
+        particle.color.setHex(color);
+    }
+}
+
+// Continuous emitters - spawn this tick's share of the emitter's rate
+export function emitParticlesOverTime(system, emitter, position, dt, random, options = {}) {
+    // Round randomly so low rates still average out right
+    const count = Math.floor(emitter.rate * system.density * dt + random());
+    if (count > 0) {
+        emitParticles(system, emitter, position, random, { ...options, count: count });
+    }
+}
+
+// dt in seconds
+export function updateParticles(system, dt) {
+    const particles = system.particles;
+    const geometry = system.points.geometry;
+    const positions = geometry.attributes.position.array;
+    const colors = geometry.attributes.particleColor.array;
+    const sizes = geometry.attributes.size.array;
+    
+    let i = 0;
+    while (i < system.count) {
+        const particle = particles[i];
+        particle.age += dt * 1000;
+        
+        // Dead - swap the last live particle into this slot
+        if (particle.age >= particle.life) {
+            system.count--;
+            particles[i] = particles[system.count];
+            particles[system.count] = particle;
+            continue;
+        }
+        
+        particle.x += particle.vx * dt;
+        particle.y += particle.vy * dt;
+        particle.z += particle.vz * dt;
+        
+        const progress = particle.age / particle.life;
+        positions[i * 3] = particle.x;
+        positions[i * 3 + 1] = particle.y;
+        positions[i * 3 + 2] = particle.z;
+        colors[i * 4] = particle.color.r;
+        colors[i * 4 + 1] = particle.color.g;
+        colors[i * 4 + 2] = particle.color.b;
+        colors[i * 4 + 3] = 1 - progress;
+        sizes[i] = particle.size + (particle.endSize - particle.size) * progress;
+        i++;
+    }
+    
+    geometry.setDrawRange(0, system.count);
+    geometry.attributes.position.needsUpdate = true;
+    geometry.attributes.particleColor.needsUpdate = true;
+    geometry.attributes.size.needsUpdate = true;
+}
+
+export function clearParticles(system) {
+    system.count = 0;
+    system.points.geometry.setDrawRange(0, 0);
+}
@@ -0,0 +1,51 @@
+// ============================================================================
+// SEEDED RANDOM NUMBERS
+// ============================================================================
+// mulberry32 - the generator's whole state is one 32-bit number, so it can
+// live inside plain simulation state and be copied with it.
+
+export function createRng(seed) {
+    return { state: seed >>> 0 };
+}
+
+// Next float in [0, 1), advancing the generator
+export function nextRandom(rng) {
+    rng.state = (rng.state + 0x6D2B79F5) >>> 0;
+    let t = rng.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Fresh seed for runs where the player didn't pick one
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// ============================================================================
+// SEED TEXT
+// ============================================================================
+// Seeds are shared as short base-36 codes (e.g. "1K4Z9Q")
+export function formatSeed(seed) {
+    return (seed >>> 0).toString(36).toUpperCase();
+}
+
+// Accepts a seed code, or any other text (hashed) so a phrase works too.
+// Returns null for empty input.
+export function parseSeed(text) {
+    const trimmed = String(text || '').trim().toUpperCase();
+    if (trimmed === '') return null;
+    
+    if (/^[0-9A-Z]{1,7}$/.test(trimmed)) {
+        const value = parseInt(trimmed, 36);
+        if (value <= 0xFFFFFFFF) return value;
+    }
+    
+    // FNV-1a hash for free-form text
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < trimmed.length; i++) {
+        hash ^= trimmed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
@@ -0,0 +1,272 @@
+// ============================================================================
+// RUN REPLAYS
+// ============================================================================
+// A replay is the seed, the game mode, the equipped ability, the authored
+// waves played, the number of players and every player's input on every
+// simulation tick.
+// The simulation is deterministic, so stepping a fresh simulation with the
+// same seed and inputs reproduces the run exactly.
+
+import { CONFIG, createSimulation, step, takeEvents } from './simulation.js';
+import { ABILITIES } from './abilities.js';
+import { MOVE_STEPS } from './input.js';
+import { checkWaves } from './waves.js';
+
+export const REPLAY_VERSION = 6;
+const SNAPSHOT_INTERVAL = 300; // Ticks between rewind snapshots
+
+// One bit per input in the tick mask
+const INPUT_BITS = {
+    shoot: 4,
+    ability: 8
+};
+
+// The weapon slot picked this tick (0 for none) sits above the buttons
+const WEAPON_SHIFT = 4;
+const WEAPON_BITS = 0x7;
+
+// Movement in steps of 1 / MOVE_STEPS, offset so full left is 0
+const MOVE_SHIFT = 7;
+const MOVE_BITS = 0x1f;
+
+// Hex digits of each player's mask at the start of each run
+const MASK_DIGITS = 3;
+
+function encodeInput(input) {
+    let mask = 0;
+    Object.keys(INPUT_BITS).forEach((name) => {
+        if (input[name]) mask |= INPUT_BITS[name];
+    });
+    mask |= ((input.weapon || 0) & WEAPON_BITS) << WEAPON_SHIFT;
+    mask |= (Math.round((input.move || 0) * MOVE_STEPS) + MOVE_STEPS) << MOVE_SHIFT;
+    return mask;
+}
+
+function decodeInput(mask) {
+    const input = {};
+    Object.keys(INPUT_BITS).forEach((name) => {
+        input[name] = (mask & INPUT_BITS[name]) !== 0;
+    });
+    input.weapon = (mask >> WEAPON_SHIFT) & WEAPON_BITS;
+    input.move = (((mask >> MOVE_SHIFT) & MOVE_BITS) - MOVE_STEPS) / MOVE_STEPS;
+    return input;
+}
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+// waves: the run's authored wave definitions, or null for generated waves only
+export function createRecorder(seed, mode, ability, tickRate, waves = null, players = 1) {
+    return {
+        seed: seed,
+        mode: mode,
+        ability: ability,
+        tickRate: tickRate,
+        waves: waves,
+        players: players,
+        ticks: 0,
+        runs: [] // Run-length encoded [masks, count] pairs, one mask per player
+    };
+}
+
+// Call once per simulation tick with the inputs passed to step()
+export function recordInput(recorder, inputs) {
+    const masks = inputs.map(encodeInput);
+    const lastRun = recorder.runs[recorder.runs.length - 1];
+    
+    if (lastRun && lastRun[0].every((mask, i) => mask === masks[i])) {
+        lastRun[1]++;
+    } else {
+        recorder.runs.push([masks, 1]);
+    }
+    recorder.ticks++;
+}
+
+// result: { score, wave } reached at the end of the run
+export function finishRecording(recorder, result) {
+    return {
+        version: REPLAY_VERSION,
+        seed: recorder.seed,
+        mode: recorder.mode,
+        ability: recorder.ability,
+        tickRate: recorder.tickRate,
+        waves: recorder.waves,
+        players: recorder.players,
+        ticks: recorder.ticks,
+        // Each run is three hex digits for each player's mask followed by a
+        // base-36 count
+        inputs: recorder.runs.map(run => run[0].map(mask => mask.toString(16).padStart(MASK_DIGITS, '0')).join('') + run[1].toString(36)).join(','),
+        score: result.score,
+        wave: result.wave,
+        date: new Date().toISOString()
+    };
+}
+
+// ============================================================================
+// FILES
+// ============================================================================
+export function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+// Parse and validate a replay file - throws an Error describing the problem
+export function parseReplay(text) {
+    let replay;
+    try {
+        replay = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Replay file is not valid JSON');
+    }
+    
+    if (!replay || typeof replay !== 'object') {
+        throw new Error('Replay file does not contain a replay');
+    }
+    checkReplayVersion(replay.version);
+    if (!Number.isInteger(replay.seed) || replay.seed < 0) {
+        throw new Error('Replay is missing a valid seed');
+    }
+    if (replay.mode !== 'prototype' && replay.mode !== 'full') {
+        throw new Error(`Unknown game mode in replay: ${replay.mode}`);
+    }
+    if (!ABILITIES.some(ability => ability.id === replay.ability)) {
+        throw new Error(`Unknown ability in replay: ${replay.ability}`);
+    }
+    if (!(replay.tickRate > 0)) {
+        throw new Error('Replay is missing a valid tick rate');
+    }
+    
+    // null when the run only had generated waves
+    if (replay.waves !== null) {
+        try {
+            replay.waves = checkWaves(replay.waves);
+        } catch (error) {
+            throw new Error(`Replay has invalid waves: ${error.message.split('\n')[0]}`);
+        }
+    }
+    
+    if (!Number.isInteger(replay.players) || replay.players < 1 || replay.players > CONFIG.maxPlayers) {
+        throw new Error(`Replay has an invalid number of players: ${replay.players}`);
+    }
+    if (typeof replay.inputs !== 'string') {
+        throw new Error('Replay is missing its input data');
+    }
+    
+    const masks = decodeInputs(replay.inputs, replay.players);
+    if (masks[0].length !== replay.ticks) {
+        throw new Error(`Replay input covers ${masks[0].length} ticks but expected ${replay.ticks}`);
+    }
+    
+    return replay;
+}
+
+// Replays from other versions encode inputs and rules differently and
+// would play out wrong, so only this version's can be played
+function checkReplayVersion(version) {
+    if (version === REPLAY_VERSION) return;
+    
+    if (Number.isInteger(version) && version >= 1 && version < REPLAY_VERSION) {
+        throw new Error(`This replay was recorded with an older version of the game (replay version ${version}) and can't be played back`);
+    }
+    if (Number.isInteger(version) && version > REPLAY_VERSION) {
+        throw new Error(`This replay was recorded with a newer version of the game (replay version ${version}) - update the game to play it back`);
+    }
+    throw new Error(`Unsupported replay version: ${version}`);
+}
+
+// One array of tick masks per player
+function decodeInputs(inputs, players) {
+    const pattern = new RegExp(`^[0-9a-f]{${MASK_DIGITS * players}}[0-9a-z]+$`);
+    const runs = inputs === '' ? [] : inputs.split(',');
+    let total = 0;
+    
+    const decodedRuns = runs.map((run) => {
+        if (!pattern.test(run)) {
+            throw new Error(`Corrupt replay input near "${run}"`);
+        }
+        const masks = [];
+        for (let i = 0; i < players; i++) {
+            masks.push(parseInt(run.slice(i * MASK_DIGITS, (i + 1) * MASK_DIGITS), 16));
+        }
+        const count = parseInt(run.slice(MASK_DIGITS * players), 36);
+        total += count;
+        return [masks, count];
+    });
+    
+    const masks = Array.from({ length: players }, () => new Uint16Array(total));
+    let offset = 0;
+    decodedRuns.forEach((run) => {
+        masks.forEach((playerMasks, i) => playerMasks.fill(run[0][i], offset, offset + run[1]));
+        offset += run[1];
+    });
+    return masks;
+}
+
+// ============================================================================
+// PLAYBACK
+// ============================================================================
+export function createReplayPlayer(replay) {
+    const player = {
+        replay: replay,
+        masks: decodeInputs(replay.inputs, replay.players),
+        dt: 1 / replay.tickRate,
+        sim: createSimulation({ seed: replay.seed, ability: replay.ability, waves: replay.waves, players: replay.players }),
+        snapshots: new Map() // tick -> simulation state copy
+    };
+    saveSnapshot(player);
+    return player;
+}
+
+function saveSnapshot(player) {
+    const tick = player.sim.tick;
+    if (tick % SNAPSHOT_INTERVAL === 0 && !player.snapshots.has(tick)) {
+        player.snapshots.set(tick, structuredClone(player.sim));
+    }
+}
+
+export function isReplayFinished(player) {
+    return player.sim.tick >= player.replay.ticks || player.sim.gameOver;
+}
+
+// Advance playback one tick. Returns false once the replay has ended.
+export function stepReplay(player) {
+    if (isReplayFinished(player)) return false;
+    
+    const tick = player.sim.tick;
+    step(player.sim, player.dt, player.masks.map(masks => decodeInput(masks[tick])));
+    saveSnapshot(player);
+    return true;
+}
+
+// Jump to any tick, re-simulating from the nearest earlier snapshot.
+// Events from the skipped ticks are discarded.
+export function seekReplay(player, targetTick) {
+    const target = Math.max(0, Math.min(targetTick, player.replay.ticks));
+    
+    // Going forward from the current state is cheapest when possible
+    if (target < player.sim.tick) {
+        let snapshotTick = 0;
+        player.snapshots.forEach((snapshot, tick) => {
+            if (tick <= target && tick > snapshotTick) snapshotTick = tick;
+        });
+        player.sim = structuredClone(player.snapshots.get(snapshotTick));
+    }
+    
+    while (player.sim.tick < target && stepReplay(player)) {
+        // Re-simulate up to the target
+    }
+    takeEvents(player.sim);
+}
+
+// Re-run the whole replay headlessly and compare against its recorded result
+export function verifyReplay(replay) {
+    const player = createReplayPlayer(replay);
+    while (stepReplay(player)) {
+        takeEvents(player.sim);
+    }
+    
+    return {
+        score: player.sim.score,
+        wave: player.sim.wave,
+        valid: player.sim.score === replay.score && player.sim.wave === replay.wave
+    };
+}
@@ -0,0 +1,83 @@
+// ============================================================================
+// GPU RESOURCES
+// ============================================================================
+// Helpers that keep long runs from leaking GPU memory. Pools hand out
+// recycled scene objects instead of building new ones, the shared cache holds
+// geometries and materials that many objects use at once, and the dispose
+// functions free whatever is neither pooled nor shared.
+
+// create() builds a new object when the pool is empty, dispose(object) frees
+// one for good - leave it out when everything the objects use is shared
+export function createPool(create, dispose = null) {
+    return {
+        create: create,
+        dispose: dispose,
+        free: [], // Released objects waiting to be reused
+        retired: false
+    };
+}
+
+export function acquire(pool) {
+    return pool.free.length > 0 ? pool.free.pop() : pool.create();
+}
+
+export function release(pool, object) {
+    if (pool.retired) {
+        disposePooled(pool, object);
+    } else {
+        pool.free.push(object);
+    }
+}
+
+// Dispose everything waiting in the pool. Objects still out in the scene are
+// disposed when they come back instead of being reused.
+export function retirePool(pool) {
+    pool.free.forEach(object => disposePooled(pool, object));
+    pool.free = [];
+    pool.retired = true;
+}
+
+function disposePooled(pool, object) {
+    if (pool.dispose) {
+        pool.dispose(object);
+    }
+}
+
+// One resource per key, built the first time it is asked for. Shared
+// resources don't depend on the graphics settings, so they last as long as
+// the page does.
+export function getShared(cache, key, create) {
+    if (!cache.has(key)) {
+        cache.set(key, create());
+    }
+    return cache.get(key);
+}
+
+// Free the geometry, materials and textures of every mesh under root
+export function disposeObject(root) {
+    root.traverse((child) => {
+        if (child.geometry) {
+            child.geometry.dispose();
+        }
+        getMaterials(child).forEach((material) => {
+            Object.values(material).forEach((value) => {
+                if (value && value.isTexture) {
+                    value.dispose();
+                }
+            });
+        });
+    });
+    disposeMaterials(root);
+}
+
+// Only the materials - for copies that share geometry with another object
+export function disposeMaterials(root) {
+    root.traverse((child) => {
+        getMaterials(child).forEach(material => material.dispose());
+    });
+}
+
+function getMaterials(object) {
+    if (!object.material) return [];
+    return Array.isArray(object.material) ? object.material : [object.material];
+}
@@ -0,0 +1,1777 @@
+// ============================================================================
+// GAME SIMULATION
+// ============================================================================
+// Renderer-agnostic game rules. All state is plain data and only changes
+// through step(state, dt, inputs), so the simulation runs the same in the
+// browser and in Node. The renderer and HUD observe the state and react to
+// the events queued on state.events.
+
+import { createRng, nextRandom, randomSeed } from './random.js';
+import { WEAPONS, DEFAULT_WEAPON, getWeapon } from './weapons.js';
+import { DEFAULT_ABILITY, getAbility } from './abilities.js';
+import {
+    placeParts,
+    getBounds,
+    findOverlap,
+    createGrid,
+    insertIntoGrid,
+    queryGrid
+} from './collision.js';
+
+// ============================================================================
+// GAME CONFIGURATION
+// ============================================================================
+// All speeds are in world units per second, all times in milliseconds
+export const CONFIG = {
+    // Player settings
+    playerSpeed: 13.2,
+    playerBounds: 14,
+    playerZ: 5,
+    maxPlayers: 2, // Co-op on one keyboard
+    coopSpacing: 8, // Gap between the ships when a co-op run starts
+    
+    // Bullet settings - speed, damage and fire rate come from weapons.js
+    bulletStartY: 0.5,
+    bulletMaxZ: -30, // Bullets past this are removed
+    
+    // Alien grid settings
+    alienBaseCount: 12, // Generated waves start from this many aliens
+    alienSpacingX: 4,
+    alienSpacingZ: 5,
+    alienStartZ: -25,
+    alienStartY: 0,
+    alienSpeed: 3.24, // Speed aliens move toward player
+    alienRandomOffset: 1.5, // Random position offset for uneven look
+    alienHitDistance: 1.5, // How close alien needs to be to hit player
+    
+    // Formations - every wave after the first picks one of these at random
+    formationPatterns: ['march', 'weave', 'rings', 'vSplit'],
+    formationBounds: 16, // Formations turn around or stop spreading here
+    marchSpeed: 4, // Sideways speed of the classic march
+    marchStepDown: 1.5, // How far the march steps forward at each edge
+    marchForwardScale: 0.5, // The march creeps forward slower between steps
+    weaveAmplitude: 2.5,
+    weaveFrequency: 2, // Radians per second
+    weaveRowPhase: 0.4, // Phase shift per unit of depth so rows ripple
+    ringSpacing: 3, // Distance between rings
+    ringSpinSpeed: 0.6, // Radians per second, alternating direction per ring
+    vWingLength: 6, // Aliens per wing before another V starts behind
+    vSpacingX: 1.8,
+    vSpacingZ: 2.5,
+    vSplitZ: -14, // The V splits once its tip passes this Z
+    vSplitDistance: 4, // How far each wing peels outward
+    vSplitDuration: 1500,
+    
+    // Charger aliens - generated waves add them from this wave (the rest of
+    // their settings are in ENEMY_TYPES)
+    chargerStartWave: 3,
+    
+    // Boss waves
+    bossWaveInterval: 10, // Every 10th wave is a boss fight
+    bossHealth: 60,
+    bossHealthGrowth: 0.5, // +50% health for each later boss
+    bossStartZ: -40,
+    bossHoverZ: -18, // The boss holds here instead of ramming the player
+    bossMuzzleZ: 2.5, // Shots leave from the front of the hull
+    bossBonus: 5000, // Times the boss number (1 on wave 10, 2 on wave 20...)
+    bossLaserDamage: 20, // Health per second while inside the laser
+    bossWeakPointDamage: 3, // A bullet in a weak point counts this many times
+    // Each phase starts once health drops to `health` (fraction of max)
+    bossPhases: [
+        { health: 1, swaySpeed: 0.5, swayAmplitude: 8, trackSpeed: 0, fireInterval: 1400, shots: 1, spread: 0 },
+        { health: 0.66, swaySpeed: 0.9, swayAmplitude: 10, trackSpeed: 0, fireInterval: 1100, shots: 3, spread: 0.25 },
+        { health: 0.33, swaySpeed: 0, swayAmplitude: 0, trackSpeed: 6, fireInterval: 800, shots: 5, spread: 0.2 }
+    ],
+    // Offsets from the boss centre - `phase` is the first phase exposing them
+    bossWeakPoints: [
+        { x: -2.8, z: 1.2, radius: 0.9, phase: 0 },
+        { x: 2.8, z: 1.2, radius: 0.9, phase: 0 },
+        { x: 0, z: 2, radius: 1.1, phase: 2 }
+    ],
+    
+    // Enemy fire - base rates are in ENEMY_TYPES
+    alienFireRateWaveScale: 0.1, // +10% fire rate per wave
+    alienFireMinZ: -35, // Aliens further back hold their fire
+    enemyBulletSpeed: 14,
+    enemyBulletStartY: 0.5,
+    enemyBulletMaxZ: 12, // Projectiles past this are removed
+    enemyBulletMaxX: 40,
+    
+    // Hit volumes on the XZ plane for each kind of entity (see collision.js).
+    // Aliens declare theirs in ENEMY_TYPES and player bullets use their
+    // weapon's hitRadius.
+    hitShapes: {
+        player: [{ shape: 'box', x: 0, z: 0, halfWidth: 0.8, halfDepth: 0.6 }],
+        enemyBullet: [{ shape: 'circle', x: 0, z: 0, radius: 0.25 }],
+        powerUp: [{ shape: 'circle', x: 0, z: 0, radius: 0.75 }]
+    },
+    collisionCellSize: 6, // Broad-phase grid cell size
+    
+    // Player lives
+    maxLives: 5,
+    
+    // Scoring
+    pointsPerAlien: 100,
+    
+    // Combos - kills within the window of each other build a chain
+    comboWindow: 1500,
+    comboKillsPerLevel: 5, // The multiplier goes up by 1 every 5 kills in a chain
+    comboMaxMultiplier: 8,
+    
+    // Wave clear bonuses
+    accuracyBonus: 1000, // Times the fraction of shots that hit something
+    speedBonus: 1000, // Full bonus for an instant clear, nothing at the par time
+    speedBonusPar: 30000,
+    noDamageBonus: 1000,
+    
+    // Abilities - costs and durations live in abilities.js
+    abilityChargePerKill: 1,
+    abilityChargePerPoint: 0.01, // So a 100 point alien adds another 1
+    laserHitWidth: 1.0, // How wide the laser hit area is
+    bombBossDamage: 15,
+    timeSlowScale: 0.35, // Enemies move and fire at this fraction of normal speed
+    cloneOffset: 3, // How far beside the player the clone flies
+    cloneSpeed: 20, // How fast the clone keeps up
+    
+    // Power-ups
+    powerUpDropChance: 0.08, // Chance a destroyed alien drops one (bosses always do)
+    powerUpWeights: { // Relative odds of each type
+        spread: 3,
+        rapid: 3,
+        pierce: 2,
+        shield: 2,
+        life: 1,
+        recharge: 1 // Fills the ability meter
+    },
+    powerUpDurations: { // Timed effects only - the rest apply instantly
+        spread: 8000,
+        rapid: 8000,
+        pierce: 8000,
+        shield: 6000
+    },
+    powerUpSpeed: 6, // Drift toward the player along Z
+    powerUpHomingSpeed: 2, // Sideways drift toward the player
+    powerUpMaxZ: 12, // Missed pickups past this are removed
+    spreadShotAngle: 0.2, // Spread adds copies of every shot turned this far each way
+    rapidFireCooldownScale: 0.5, // Rapid fire halves the weapon cooldown
+    pierceBonus: 3, // Extra aliens each bullet flies through with piercing rounds
+    
+    // Wave flow
+    waveSpawnDelay: 2500 // Delay before spawning the next wave, long enough for the bonus tally
+};
+
+// ============================================================================
+// ENEMY TYPES
+// ============================================================================
+// Every kind of alien, keyed by the type stored on each alien. Rules below
+// only read these entries, so a new alien is one new entry here.
+//
+//   health     - damage it takes to kill (the boss scales its own per boss)
+//   speedScale - multiple of the wave's alien speed
+//   hitShapes  - hit volume parts, scaled with the alien's size
+//   points     - score for a kill, before the combo multiplier
+//   fireRate   - shots per second on wave 1
+//   muzzleZ    - where its shots start, ahead of its centre
+//   dropChance - chance it leaves a power-up behind
+//   laserDamage, bombDamage - health taken per second in the laser and by a
+//                smart bomb, or null to be destroyed outright
+//   formation  - true to fly in the wave's formation, false to fly alone
+//   model      - { url, scale, builder } - the renderer loads url in full mode
+//                and uses its builder of that name otherwise (or if the file
+//                fails). Optional hints for how the renderer shows it:
+//                  unique    - build a fresh model for every alien instead of
+//                              loading one to clone, for models with parts
+//                              that follow the alien's own state
+//                  death     - 'explosion' (the default), or 'bigExplosion'
+//                              for a chain of blasts and a bonus callout
+//                  keepGlow  - hit flashes go back to the model's own glow
+//                  bank      - { speed, angle } - rolls side to side in flight
+//                  healthBar - name over a health bar shown while it is alive
+//
+// Optional hooks:
+//
+//   onUpdate(state, alien, dt, speed) - return true if it moved the alien,
+//                                       otherwise it moves the default way
+//   onDamaged(state, alien, weakPoint) - hit but still alive
+//   onDeath(state, alien, cause)       - just killed, cause as in alienKilled
+//   getHitShapes(alien)                - replaces hitShapes when they change
+//   fireInterval(state, alien)         - replaces the random gap between shots
+//   onFire(state, alien)               - replaces the single aimed shot
+export const ENEMY_TYPES = {
+    normal: {
+        health: 1,
+        speedScale: 1,
+        hitShapes: [{ shape: 'circle', x: 0, z: 0, radius: 1.6 }],
+        points: CONFIG.pointsPerAlien,
+        fireRate: 0.05,
+        muzzleZ: 0,
+        dropChance: CONFIG.powerUpDropChance,
+        laserDamage: null,
+        bombDamage: null,
+        formation: true,
+        model: { url: 'models/Alien.glb', scale: 1, builder: 'alien' }
+    },
+    
+    // Flies alone and charges at the player once damaged
+    charger: {
+        health: 2,
+        speedScale: 1,
+        hitShapes: [{ shape: 'circle', x: 0, z: 0, radius: 2.1 }], // Larger hitbox
+        points: CONFIG.pointsPerAlien * 3,
+        fireRate: 0.15,
+        muzzleZ: 0,
+        dropChance: CONFIG.powerUpDropChance,
+        laserDamage: null,
+        bombDamage: null,
+        formation: false,
+        model: { url: null, scale: 1, builder: 'charger' }, // No model file - always primitive
+        chargeSpeedScale: 4, // Forward speed while charging, times the base alien speed
+        chargeSteerScale: 2, // Sideways speed while charging, times the wave speed
+        onUpdate(state, alien, dt, speed) {
+            if (!alien.isCharging) return false;
+            
+            // Charger moves fast and toward the nearest player's X position
+            const type = getEnemyType(alien.type);
+            const dx = getTargetPlayer(state, alien.x).x - alien.x;
+            alien.x += Math.sign(dx) * speed * type.chargeSteerScale * dt;
+            alien.z += CONFIG.alienSpeed * type.chargeSpeedScale * dt;
+            return true;
+        },
+        onDamaged(state, alien) {
+            // Damaged chargers get angry and charge!
+            if (!alien.isCharging) {
+                alien.isCharging = true;
+                emit(state, 'chargerEnraged', { alien: alien });
+            }
+        }
+    },
+    
+    // Only spawned by boss waves - see the BOSS section
+    boss: {
+        health: CONFIG.bossHealth,
+        speedScale: 1,
+        hitShapes: [{ shape: 'box', x: 0, z: 0, halfWidth: 3.6, halfDepth: 2.6 }],
+        points: CONFIG.bossBonus,
+        fireRate: 0,
+        muzzleZ: CONFIG.bossMuzzleZ,
+        dropChance: 1, // Bosses always leave something behind
+        laserDamage: CONFIG.bossLaserDamage,
+        bombDamage: CONFIG.bombBossDamage,
+        formation: false,
+        model: {
+            url: null,
+            scale: 1,
+            builder: 'boss',
+            unique: true, // Weak points open up per phase
+            death: 'bigExplosion',
+            keepGlow: true,
+            bank: { speed: 0.0015, angle: 0.08 },
+            healthBar: 'MOTHERSHIP'
+        },
+        onUpdate(state, alien, dt, speed) {
+            updateBoss(state, alien, dt, speed);
+            return true;
+        },
+        onDamaged(state, alien) {
+            updateBossPhase(state, alien);
+        },
+        // Weak points come first so they win over the hull
+        getHitShapes(alien) {
+            return [...getWeakPointParts(alien), ...ENEMY_TYPES.boss.hitShapes];
+        },
+        // Bosses fire on a steady beat set by their phase
+        fireInterval(state, alien) {
+            return CONFIG.bossPhases[alien.phase].fireInterval;
+        },
+        onFire: fireBossVolley
+    }
+};
+
+export function getEnemyType(id) {
+    const type = ENEMY_TYPES[id];
+    if (!type) throw new Error(`Unknown enemy type: ${id}`);
+    return type;
+}
+
+// ============================================================================
+// STATE
+// ============================================================================
+// options: { seed, ability, waves, wave, players } - runs with the same seed
+// get identical wave layouts, ability is the id of the equipped ability (see
+// abilities.js), waves the authored wave definitions to play before generated
+// ones (checked by waves.js - leave out for generated waves only), wave the
+// wave to start on, 1 unless previewing a later wave, and players 2 for co-op
+export function createSimulation(options = {}) {
+    const seed = options.seed !== undefined ? options.seed : randomSeed();
+    const ability = getAbility(options.ability || DEFAULT_ABILITY);
+    const playerCount = options.players || 1;
+    
+    const state = {
+        seed: seed,
+        rng: createRng(seed), // All gameplay randomness comes from here
+        time: 0, // Game clock in milliseconds
+        tick: 0,
+        score: 0, // Team score - every player's kills plus the wave bonuses
+        wave: options.wave || 1,
+        gameOver: false, // Every player is out
+        
+        players: Array.from({ length: playerCount }, (_, i) => createPlayer(i, playerCount, ability.id)),
+        
+        bullets: [],
+        enemyBullets: [],
+        powerUps: [],
+        aliens: [],
+        waves: options.waves || null, // Authored wave definitions
+        waveDefinition: null, // The current wave's, set by spawnWave
+        reinforcements: [], // Groups still to arrive: { type, count, time }
+        formation: null, // Set by spawnWave
+        shots: [], // Trigger pulls with bullets still flying: { id, player, remaining, hit }
+        
+        // Reset when each wave spawns, for the wave clear bonuses
+        waveStats: {
+            startTime: 0,
+            shotsFired: 0,
+            shotsHit: 0,
+            damageTaken: false
+        },
+        
+        waveTransitioning: false,
+        nextWaveTime: 0,
+        
+        nextId: 1,
+        events: []
+    };
+    
+    spawnWave(state);
+    emit(state, 'waveStarted', { wave: state.wave, boss: state.waveDefinition.boss });
+    
+    return state;
+}
+
+// Each player has their own ship, lives, score, weapon, combo, ability and
+// power-ups. Players start spread evenly around the middle.
+function createPlayer(index, count, abilityId) {
+    const x = (index - (count - 1) / 2) * CONFIG.coopSpacing;
+    return {
+        index: index,
+        x: x,
+        prevX: x,
+        z: CONFIG.playerZ,
+        lives: CONFIG.maxLives,
+        score: 0, // Points from this player's kills
+        out: false, // Lost every life - the others play on
+        weapon: DEFAULT_WEAPON, // Id of the equipped weapon
+        lastShootTime: -Infinity,
+        
+        combo: {
+            chain: 0,
+            multiplier: 1,
+            lastKillTime: 0
+        },
+        
+        ability: {
+            id: abilityId,
+            charge: 0, // Fills up to the ability's cost
+            active: false,
+            endTime: 0
+        },
+        
+        // Beam and wingman, while those abilities run
+        laser: {
+            active: false,
+            x: 0
+        },
+        clone: null, // { x, prevX }
+        
+        // End time of each timed power-up effect, 0 when inactive
+        effects: Object.fromEntries(Object.keys(CONFIG.powerUpDurations).map(type => [type, 0]))
+    };
+}
+
+// Players still flying
+export function getActivePlayers(state) {
+    return state.players.filter(player => !player.out);
+}
+
+// The ship enemies go after from `x` - the nearest one still flying, the
+// first player's on a tie
+function getTargetPlayer(state, x) {
+    let target = null;
+    state.players.forEach((player) => {
+        if (player.out) return;
+        if (!target || Math.abs(player.x - x) < Math.abs(target.x - x)) {
+            target = player;
+        }
+    });
+    return target;
+}
+
+function random(state) {
+    return nextRandom(state.rng);
+}
+
+function emit(state, type, data = {}) {
+    state.events.push(Object.assign({ type: type }, data));
+}
+
+// Hand the queued events to the caller and clear the queue
+export function takeEvents(state) {
+    return state.events.splice(0, state.events.length);
+}
+
+// ============================================================================
+// STEP
+// ============================================================================
+// Advance the simulation by `dt` seconds.
+// inputs: one { move, shoot, ability, weapon } per player - move runs from -1
+// (full speed left) to 1 (full speed right), ability is treated as a press,
+// weapon is the 1-based slot picked this tick (0 for none). Players who are
+// out ignore theirs.
+export function step(state, dt, inputs) {
+    if (state.gameOver) return;
+    
+    savePreviousPositions(state);
+    
+    // Advance the game clock
+    state.time += dt * 1000;
+    state.tick++;
+    
+    // Timed events
+    if (state.waveTransitioning && state.time >= state.nextWaveTime) {
+        spawnWave(state);
+        state.waveTransitioning = false;
+    }
+    spawnReinforcements(state);
+    state.players.forEach((player) => {
+        if (player.ability.active && state.time >= player.ability.endTime) {
+            endAbility(state, player);
+        }
+        updateEffects(state, player);
+        if (player.combo.chain > 0 && state.time - player.combo.lastKillTime > CONFIG.comboWindow) {
+            breakCombo(state, player, 'timeout');
+        }
+    });
+    
+    state.players.forEach((player, i) => {
+        if (player.out) return;
+        const input = inputs[i];
+        
+        // Update player
+        updatePlayer(player, dt, input);
+        updateClone(player, dt);
+        
+        // Handle weapon switching and shooting
+        if (input.weapon) {
+            selectWeapon(state, player, input.weapon);
+        }
+        if (input.shoot) {
+            shoot(state, player);
+        }
+        
+        // Handle abilities
+        if (input.ability) {
+            useAbility(state, player);
+        }
+    });
+    
+    // Update bullets
+    updateBullets(state, dt);
+    
+    // Update laser beams
+    state.players.forEach(player => updateLaser(state, player, dt));
+    
+    // Update aliens (move toward player) - time slow shortens their step
+    const enemyDt = getEnemyDt(state, dt);
+    updateAliens(state, enemyDt);
+    if (state.gameOver) return;
+    
+    // Aliens shoot back
+    updateAlienFiring(state, dt);
+    updateEnemyBullets(state, enemyDt);
+    if (state.gameOver) return;
+    
+    // Pickups drift toward the player
+    updatePowerUps(state, dt);
+    
+    // Check bullet-alien collisions
+    checkCollisions(state);
+    
+    // Check if wave complete
+    checkWaveComplete(state);
+}
+
+// Keep last tick's positions so the renderer can interpolate
+function savePreviousPositions(state) {
+    state.players.forEach((player) => {
+        player.prevX = player.x;
+        if (player.clone) {
+            player.clone.prevX = player.clone.x;
+        }
+    });
+    state.bullets.forEach((bullet) => {
+        bullet.prevX = bullet.x;
+        bullet.prevZ = bullet.z;
+    });
+    state.aliens.forEach((alien) => {
+        alien.prevX = alien.x;
+        alien.prevZ = alien.z;
+    });
+    state.enemyBullets.forEach((projectile) => {
+        projectile.prevX = projectile.x;
+        projectile.prevZ = projectile.z;
+    });
+    state.powerUps.forEach((powerUp) => {
+        powerUp.prevX = powerUp.x;
+        powerUp.prevZ = powerUp.z;
+    });
+}
+
+// ============================================================================
+// WAVES
+// ============================================================================
+// A wave definition says what a wave holds (waves.js reads them from files):
+//
+//   boss      - a boss fight, with the boss as the only enemy
+//   formation - formation pattern, or 'random' to pick one
+//   speed     - alien speed, times CONFIG.alienSpeed
+//   enemies   - groups of { type, count, delay }. Groups with a delay
+//               (milliseconds after the wave spawns) are reinforcements,
+//               which fly in on their own instead of in the formation.
+//   placed    - aliens placed one by one as { type, x, z }, for the 'placed'
+//               formation. z is depth behind the front of the formation.
+//   rules     - special rules, with every rule in WAVE_RULES set
+//
+// Runs play their authored waves first, then generated ones forever.
+
+// Special rules and their normal values
+export const WAVE_RULES = {
+    fireRateScale: 1, // Enemy fire rate multiplier
+    healthBonus: 0, // Extra health for every alien
+    noDrops: false // Nothing drops power-ups
+};
+
+export function getWaveDefinition(waves, wave) {
+    return waves && wave <= waves.length ? waves[wave - 1] : generateWave(wave);
+}
+
+// Endless waves for after the authored ones run out
+export function generateWave(wave) {
+    // Every 3 waves, aliens get 10% faster
+    const speed = Math.pow(1.1, Math.floor((wave - 1) / 3));
+    
+    if (isBossWave(wave)) {
+        return { boss: true, formation: 'random', speed: speed, enemies: [], placed: [], rules: { ...WAVE_RULES } };
+    }
+    
+    // Base + exactly 1 extra alien per wave
+    const enemies = [{ type: 'normal', count: CONFIG.alienBaseCount + wave - 1, delay: 0 }];
+    
+    // Charger aliens start from wave 3
+    // Wave 3: 1 charger, Wave 4: 1, Wave 5: 1, Wave 6: 2, Wave 7: 2, Wave 8: 2, Wave 9: 3, etc.
+    if (wave >= CONFIG.chargerStartWave) {
+        enemies.push({ type: 'charger', count: Math.floor((wave - CONFIG.chargerStartWave) / 3) + 1, delay: 0 });
+    }
+    
+    return {
+        boss: false,
+        formation: wave === 1 ? 'march' : 'random', // Open with the classic march
+        speed: speed,
+        enemies: enemies,
+        placed: [],
+        rules: { ...WAVE_RULES }
+    };
+}
+
+function isBossWave(wave) {
+    return wave % CONFIG.bossWaveInterval === 0;
+}
+
+function spawnWave(state) {
+    state.waveStats = {
+        startTime: state.time,
+        shotsFired: 0,
+        shotsHit: 0,
+        damageTaken: false
+    };
+    
+    // Clear existing aliens
+    state.aliens = [];
+    state.reinforcements = [];
+    
+    const definition = getWaveDefinition(state.waves, state.wave);
+    state.waveDefinition = definition;
+    
+    // Boss waves replace the whole formation
+    if (definition.boss) {
+        state.formation = null;
+        spawnBoss(state);
+        return;
+    }
+    
+    state.formation = createFormation(pickFormationPattern(state, definition.formation));
+    
+    // Everything of a formation type shares the one formation, the rest
+    // spawn behind it. Placed waves only have reinforcement groups.
+    const formationTypes = [];
+    const loneTypes = [];
+    definition.enemies.forEach((group) => {
+        if (group.delay > 0) {
+            state.reinforcements.push({ type: group.type, count: group.count, time: state.time + group.delay });
+            return;
+        }
+        const types = getEnemyType(group.type).formation ? formationTypes : loneTypes;
+        for (let i = 0; i < group.count; i++) {
+            types.push(group.type);
+        }
+    });
+    if (definition.formation === 'placed') {
+        spawnPlacedAliens(state, definition.placed);
+    } else {
+        spawnFormation(state, formationTypes);
+    }
+    loneTypes.forEach((type, i) => spawnLoneAlien(state, type, i));
+}
+
+// Reinforcement groups fly in once their delay is up
+function spawnReinforcements(state) {
+    if (state.reinforcements.length === 0) return;
+    
+    const arrived = state.reinforcements.filter(group => state.time >= group.time);
+    state.reinforcements = state.reinforcements.filter(group => state.time < group.time);
+    arrived.forEach((group) => {
+        for (let i = 0; i < group.count; i++) {
+            spawnLoneAlien(state, group.type, i);
+        }
+        emit(state, 'reinforcementsArrived', { enemyType: group.type, count: group.count });
+    });
+}
+
+// Aliens outside the formation start further back, spread apart
+function spawnLoneAlien(state, type, index = 0) {
+    const spreadX = (index - 0.5) * 6;
+    
+    addAlien(state, type, {
+        x: spreadX + (random(state) - 0.5) * 3,
+        y: CONFIG.alienStartY,
+        z: CONFIG.alienStartZ - 8 - (index * 3),
+        scale: 1
+    });
+}
+
+function spawnBoss(state) {
+    const bossNumber = countBossWaves(state);
+    const health = Math.round(CONFIG.bossHealth * (1 + (bossNumber - 1) * CONFIG.bossHealthGrowth))
+        + state.waveDefinition.rules.healthBonus;
+    
+    addAlien(state, 'boss', {
+        x: 0,
+        y: CONFIG.alienStartY,
+        z: CONFIG.bossStartZ,
+        scale: 1,
+        health: health,
+        maxHealth: health,
+        points: getEnemyType('boss').points * bossNumber,
+        bossNumber: bossNumber,
+        phase: 0, // Index into CONFIG.bossPhases
+        swayPhase: 0
+    });
+}
+
+// Bosses get tougher each time one comes round: 1 for the first boss wave
+function countBossWaves(state) {
+    let count = 0;
+    for (let wave = 1; wave <= state.wave; wave++) {
+        if (getWaveDefinition(state.waves, wave).boss) count++;
+    }
+    return count;
+}
+
+// props: position and size, plus anything to set instead of the type's defaults
+function addAlien(state, type, props) {
+    const enemyType = getEnemyType(type);
+    const alien = Object.assign({
+        id: state.nextId++,
+        type: type,
+        health: enemyType.health + state.waveDefinition.rules.healthBonus,
+        points: enemyType.points,
+        isCharging: false
+    }, props);
+    alien.prevX = alien.x;
+    alien.prevZ = alien.z;
+    alien.nextFireTime = state.time + getAlienFireInterval(state, alien);
+    state.aliens.push(alien);
+    return alien;
+}
+
+function checkWaveComplete(state) {
+    if (state.aliens.length === 0 && state.reinforcements.length === 0
+        && !state.waveTransitioning && !state.gameOver) {
+        awardWaveClearBonus(state);
+        
+        state.waveTransitioning = true;
+        state.wave++;
+        emit(state, 'waveStarted', { wave: state.wave, boss: getWaveDefinition(state.waves, state.wave).boss });
+        
+        // Small delay before spawning new wave
+        state.nextWaveTime = state.time + CONFIG.waveSpawnDelay;
+    }
+}
+
+// Bonuses for accuracy, speed and not getting hit, added as the wave ends
+function awardWaveClearBonus(state) {
+    const stats = state.waveStats;
+    const accuracy = stats.shotsFired > 0 ? stats.shotsHit / stats.shotsFired : 0;
+    const clearTime = state.time - stats.startTime;
+    
+    const bonuses = {
+        accuracy: Math.round(accuracy * CONFIG.accuracyBonus),
+        speed: Math.round(Math.max(0, 1 - clearTime / CONFIG.speedBonusPar) * CONFIG.speedBonus),
+        noDamage: stats.damageTaken ? 0 : CONFIG.noDamageBonus
+    };
+    const total = bonuses.accuracy + bonuses.speed + bonuses.noDamage;
+    state.score += total;
+    
+    emit(state, 'waveCleared', {
+        wave: state.wave,
+        accuracy: accuracy,
+        clearTime: clearTime,
+        damageTaken: stats.damageTaken,
+        bonuses: bonuses,
+        total: total
+    });
+}
+
+// ============================================================================
+// FORMATIONS
+// ============================================================================
+// Aliens of formation types fly in a formation. Each alien keeps a slot (its
+// place in the pattern) and every tick the pattern turns the shared formation
+// state plus the slot into a position. Other types fly on their own.
+// pattern: a pattern name, or 'random'
+function pickFormationPattern(state, pattern) {
+    if (pattern !== 'random') return pattern;
+    
+    const patterns = CONFIG.formationPatterns;
+    return patterns[Math.floor(random(state) * patterns.length)];
+}
+
+function createFormation(pattern) {
+    return {
+        pattern: pattern,
+        z: CONFIG.alienStartZ, // Front of the formation, advances toward the player
+        offsetX: 0, // March
+        direction: 1, // March: 1 = moving right, -1 = moving left
+        phase: 0, // Weave
+        angle: 0, // Rings
+        split: 0 // V: 0 = closed, 1 = fully split
+    };
+}
+
+// types: the enemy type of each alien, in slot order
+function spawnFormation(state, types) {
+    const pattern = FORMATIONS[state.formation.pattern];
+    
+    pattern.layout(state, types.length).forEach((slot, i) => {
+        const position = pattern.place(state.formation, slot);
+        
+        addAlien(state, types[i], {
+            x: position.x,
+            y: CONFIG.alienStartY + slot.y,
+            z: position.z,
+            scale: slot.scale,
+            slot: slot
+        });
+    });
+}
+
+// Placed formation types keep their spot in a block that advances together,
+// the rest fly on their own from where they were put
+function spawnPlacedAliens(state, placed) {
+    placed.forEach((placement) => {
+        const slot = { x: placement.x, z: placement.z, y: 0, scale: 1 };
+        const position = FORMATIONS.placed.place(state.formation, slot);
+        const alien = addAlien(state, placement.type, {
+            x: position.x,
+            y: CONFIG.alienStartY,
+            z: position.z,
+            scale: 1
+        });
+        if (getEnemyType(placement.type).formation) {
+            alien.slot = slot;
+        }
+    });
+}
+
+// Rows and columns with a random offset for an uneven look
+function gridLayout(state, alienCount) {
+    // Calculate grid dimensions based on count
+    const cols = Math.ceil(Math.sqrt(alienCount * 1.5)); // Wider than tall
+    const rows = Math.ceil(alienCount / cols);
+    
+    const startX = -(cols - 1) * CONFIG.alienSpacingX / 2;
+    const slots = [];
+    
+    for (let row = 0; row < rows && slots.length < alienCount; row++) {
+        for (let col = 0; col < cols && slots.length < alienCount; col++) {
+            const randomX = (random(state) - 0.5) * CONFIG.alienRandomOffset * 2;
+            const randomZ = (random(state) - 0.5) * CONFIG.alienRandomOffset * 2;
+            const randomY = (random(state) - 0.5) * CONFIG.alienRandomOffset * 0.5;
+            
+            slots.push({
+                x: startX + col * CONFIG.alienSpacingX + randomX,
+                z: -row * CONFIG.alienSpacingZ + randomZ,
+                y: randomY,
+                scale: 0.9 + random(state) * 0.2 // Slight random scale variation
+            });
+        }
+    }
+    return slots;
+}
+
+// Concentric rings, inner ones first, each holding as many aliens as fit
+function ringLayout(state, alienCount) {
+    // No formation aliens (chargers only, or every group delayed) - no rings
+    if (alienCount === 0) return [];
+    
+    const rings = [];
+    let remaining = alienCount;
+    
+    while (remaining > 0) {
+        const radius = CONFIG.ringSpacing * (rings.length + 1);
+        const capacity = Math.floor(2 * Math.PI * radius / CONFIG.alienSpacingX);
+        const count = Math.min(capacity, remaining);
+        rings.push({ radius: radius, count: count });
+        remaining -= count;
+    }
+    
+    // Centre the rings so the outermost one starts at the formation front
+    const centerZ = -rings[rings.length - 1].radius;
+    const slots = [];
+    
+    rings.forEach((ring, index) => {
+        for (let i = 0; i < ring.count; i++) {
+            slots.push({
+                radius: ring.radius,
+                angle: i / ring.count * Math.PI * 2,
+                spin: index % 2 === 0 ? 1 : -1, // Neighbouring rings turn opposite ways
+                centerZ: centerZ,
+                y: (random(state) - 0.5) * CONFIG.alienRandomOffset * 0.5,
+                scale: 0.9 + random(state) * 0.2
+            });
+        }
+    });
+    return slots;
+}
+
+// Arrowheads pointing at the player, extra ones queue up behind the first
+function vLayout(state, alienCount) {
+    const perV = CONFIG.vWingLength * 2 + 1;
+    const vDepth = (CONFIG.vWingLength + 2) * CONFIG.vSpacingZ;
+    const slots = [];
+    
+    for (let i = 0; i < alienCount; i++) {
+        const indexInV = i % perV;
+        const rank = Math.ceil(indexInV / 2); // 0 = tip
+        const side = rank === 0 ? 0 : (indexInV % 2 === 1 ? -1 : 1);
+        
+        slots.push({
+            x: side * rank * CONFIG.vSpacingX,
+            z: -rank * CONFIG.vSpacingZ - Math.floor(i / perV) * vDepth,
+            side: side,
+            y: (random(state) - 0.5) * CONFIG.alienRandomOffset * 0.5,
+            scale: 0.9 + random(state) * 0.2
+        });
+    }
+    return slots;
+}
+
+// Leftmost and rightmost slot X of the aliens still in formation
+function getFormationExtent(state) {
+    let minX = Infinity;
+    let maxX = -Infinity;
+    
+    state.aliens.forEach((alien) => {
+        if (!alien.slot) return;
+        minX = Math.min(minX, alien.slot.x);
+        maxX = Math.max(maxX, alien.slot.x);
+    });
+    return { minX: minX, maxX: maxX };
+}
+
+// layout(state, count) -> slots, update(state, formation, dt, speed) moves
+// the shared formation state, place(formation, slot) -> { x, z }
+const FORMATIONS = {
+    // Laid out by hand in the wave editor - slots come from the wave's
+    // placed list, so there is no layout
+    placed: {
+        update(state, formation, dt, speed) {
+            formation.z += speed * dt;
+        },
+        place(formation, slot) {
+            return { x: slot.x, z: formation.z + slot.z };
+        }
+    },
+    
+    // Classic invaders: sweep side to side, step forward at each edge
+    march: {
+        layout: gridLayout,
+        update(state, formation, dt, speed) {
+            formation.z += speed * CONFIG.marchForwardScale * dt;
+            
+            const extent = getFormationExtent(state);
+            const bounds = CONFIG.formationBounds;
+            
+            // Too wide to sweep - just hold the middle and advance
+            if (extent.maxX - extent.minX >= bounds * 2) {
+                formation.offsetX = 0;
+                formation.z += speed * (1 - CONFIG.marchForwardScale) * dt;
+                return;
+            }
+            
+            // Sideways speed scales with the wave speed like everything else
+            formation.offsetX += formation.direction * CONFIG.marchSpeed * (speed / CONFIG.alienSpeed) * dt;
+            
+            if (formation.direction > 0 && formation.offsetX + extent.maxX > bounds) {
+                formation.offsetX = bounds - extent.maxX;
+                formation.direction = -1;
+                formation.z += CONFIG.marchStepDown;
+            } else if (formation.direction < 0 && formation.offsetX + extent.minX < -bounds) {
+                formation.offsetX = -bounds - extent.minX;
+                formation.direction = 1;
+                formation.z += CONFIG.marchStepDown;
+            }
+        },
+        place(formation, slot) {
+            return { x: slot.x + formation.offsetX, z: formation.z + slot.z };
+        }
+    },
+    
+    // Rows ripple left and right as they advance
+    weave: {
+        layout: gridLayout,
+        update(state, formation, dt, speed) {
+            formation.z += speed * dt;
+            formation.phase += CONFIG.weaveFrequency * dt;
+        },
+        place(formation, slot) {
+            const sway = Math.sin(formation.phase + slot.z * CONFIG.weaveRowPhase) * CONFIG.weaveAmplitude;
+            return { x: slot.x + sway, z: formation.z + slot.z };
+        }
+    },
+    
+    // Counter-rotating rings drifting toward the player
+    rings: {
+        layout: ringLayout,
+        update(state, formation, dt, speed) {
+            formation.z += speed * dt;
+            formation.angle += CONFIG.ringSpinSpeed * dt;
+        },
+        place(formation, slot) {
+            const angle = slot.angle + formation.angle * slot.spin;
+            return {
+                x: Math.cos(angle) * slot.radius,
+                z: formation.z + slot.centerZ + Math.sin(angle) * slot.radius
+            };
+        }
+    },
+    
+    // A V that splits its wings apart partway in
+    vSplit: {
+        layout: vLayout,
+        update(state, formation, dt, speed) {
+            formation.z += speed * dt;
+            if (formation.z >= CONFIG.vSplitZ) {
+                formation.split = Math.min(1, formation.split + dt * 1000 / CONFIG.vSplitDuration);
+            }
+        },
+        place(formation, slot) {
+            const x = slot.x + slot.side * formation.split * CONFIG.vSplitDistance;
+            return {
+                x: Math.max(-CONFIG.playerBounds, Math.min(CONFIG.playerBounds, x)),
+                z: formation.z + slot.z
+            };
+        }
+    }
+};
+
+// ============================================================================
+// PLAYER
+// ============================================================================
+function updatePlayer(player, dt, input) {
+    if (input.move) {
+        player.x += CONFIG.playerSpeed * dt * input.move;
+    }
+    
+    // Constrain to bounds
+    player.x = Math.max(-CONFIG.playerBounds, Math.min(CONFIG.playerBounds, player.x));
+}
+
+// slot: 1-based position in WEAPONS
+function selectWeapon(state, player, slot) {
+    const weapon = WEAPONS[slot - 1];
+    if (!weapon || weapon.id === player.weapon) return;
+    
+    player.weapon = weapon.id;
+    emit(state, 'weaponChanged', { weapon: weapon.id, player: player.index });
+}
+
+// Angles of every projectile in one shot, fanned out around straight ahead
+function getShotAngles(state, player, weapon) {
+    const angles = [];
+    for (let i = 0; i < weapon.count; i++) {
+        angles.push((i - (weapon.count - 1) / 2) * weapon.spread);
+    }
+    
+    // Spread power-up adds a turned copy of the whole pattern on each side
+    if (isEffectActive(state, player, 'spread')) {
+        return angles.flatMap(angle => [angle - CONFIG.spreadShotAngle, angle, angle + CONFIG.spreadShotAngle]);
+    }
+    return angles;
+}
+
+function shoot(state, player) {
+    const weapon = getWeapon(player.weapon);
+    const cooldown = isEffectActive(state, player, 'rapid')
+        ? weapon.cooldown * CONFIG.rapidFireCooldownScale
+        : weapon.cooldown;
+    if (state.time - player.lastShootTime < cooldown) return;
+    player.lastShootTime = state.time;
+    
+    // All bullets from one trigger pull count as a single shot - it hits if
+    // any of them do
+    const shot = { id: state.nextId++, player: player.index, remaining: 0, hit: false };
+    state.shots.push(shot);
+    state.waveStats.shotsFired++;
+    
+    fireVolley(state, player, weapon, player.x, shot);
+    
+    // The clone copies every shot
+    if (player.clone) {
+        fireVolley(state, player, weapon, player.clone.x, shot);
+    }
+    
+    emit(state, 'shotFired', { weapon: weapon.id, player: player.index });
+}
+
+function fireVolley(state, player, weapon, x, shot) {
+    const pierce = weapon.pierce + (isEffectActive(state, player, 'pierce') ? CONFIG.pierceBonus : 0);
+    
+    getShotAngles(state, player, weapon).forEach((angle) => {
+        const z = player.z - 1;
+        state.bullets.push({
+            id: state.nextId++,
+            player: player.index, // Who gets the kill
+            weapon: weapon.id,
+            x: x,
+            y: CONFIG.bulletStartY,
+            z: z,
+            prevX: x,
+            prevZ: z,
+            vx: Math.sin(angle) * weapon.speed,
+            vz: -Math.cos(angle) * weapon.speed,
+            damage: weapon.damage,
+            pierce: pierce, // Aliens it can still fly through
+            hitIds: [], // Aliens it already went through
+            shotId: shot.id
+        });
+        shot.remaining++;
+    });
+}
+
+function updateBullets(state, dt) {
+    for (let i = state.bullets.length - 1; i >= 0; i--) {
+        const bullet = state.bullets[i];
+        bullet.x += bullet.vx * dt;
+        bullet.z += bullet.vz * dt;
+        
+        // Remove if off screen
+        if (bullet.z < CONFIG.bulletMaxZ || Math.abs(bullet.x) > CONFIG.enemyBulletMaxX) {
+            removeBullet(state, i);
+        }
+    }
+}
+
+function removeBullet(state, index) {
+    const bullet = state.bullets[index];
+    state.bullets.splice(index, 1);
+    
+    // Once a shot's last bullet is gone, a shot that hit nothing is a miss
+    const shotIndex = state.shots.findIndex(shot => shot.id === bullet.shotId);
+    const shot = state.shots[shotIndex];
+    if (!shot || --shot.remaining > 0) return;
+    
+    state.shots.splice(shotIndex, 1);
+    if (!shot.hit) {
+        breakCombo(state, state.players[shot.player], 'miss');
+    }
+}
+
+function markShotHit(state, bullet) {
+    const shot = state.shots.find(candidate => candidate.id === bullet.shotId);
+    if (shot && !shot.hit) {
+        shot.hit = true;
+        state.waveStats.shotsHit++;
+    }
+}
+
+// ============================================================================
+// ABILITIES
+// ============================================================================
+// Each player's ability charges from their own kills and can be used once
+// its meter is full. While it runs the meter stays empty.
+export function isAbilityActive(player, id) {
+    return player.ability.active && player.ability.id === id;
+}
+
+export function isAbilityReady(player) {
+    return !player.ability.active && player.ability.charge >= getAbility(player.ability.id).cost;
+}
+
+// Time slow from any player slows the enemies for everyone
+export function isTimeSlowed(state) {
+    return state.players.some(player => isAbilityActive(player, 'timeSlow'));
+}
+
+// Kills made by abilities don't charge the meter, so a bomb can't pay for the next one
+function chargeAbility(state, player, points, cause) {
+    const ability = player.ability;
+    if (ability.active || cause !== 'bullet') return;
+    
+    const wasReady = isAbilityReady(player);
+    const gain = CONFIG.abilityChargePerKill + points * CONFIG.abilityChargePerPoint;
+    ability.charge = Math.min(getAbility(ability.id).cost, ability.charge + gain);
+    
+    if (!wasReady && isAbilityReady(player)) {
+        emit(state, 'abilityReady', { ability: ability.id, player: player.index });
+    }
+}
+
+// Top the meter up straight away (ability recharge power-up)
+function fillAbility(state, player) {
+    const ability = player.ability;
+    if (ability.active || isAbilityReady(player)) return;
+    
+    ability.charge = getAbility(ability.id).cost;
+    emit(state, 'abilityReady', { ability: ability.id, player: player.index });
+}
+
+function useAbility(state, player) {
+    if (!isAbilityReady(player)) return;
+    
+    const ability = player.ability;
+    const definition = getAbility(ability.id);
+    ability.charge = 0;
+    ability.active = definition.duration > 0;
+    ability.endTime = state.time + definition.duration;
+    emit(state, 'abilityStarted', { ability: ability.id, player: player.index });
+    
+    switch (ability.id) {
+        case 'laser':
+            player.laser.active = true;
+            player.laser.x = player.x;
+            break;
+        case 'bomb':
+            detonateSmartBomb(state, player);
+            break;
+        case 'clone':
+            player.clone = { x: player.x, prevX: player.x };
+            break;
+    }
+}
+
+function endAbility(state, player) {
+    const ability = player.ability;
+    ability.active = false;
+    player.laser.active = false;
+    player.clone = null;
+    emit(state, 'abilityEnded', { ability: ability.id, player: player.index });
+}
+
+// Slowed enemies use a shorter step
+function getEnemyDt(state, dt) {
+    return isTimeSlowed(state) ? dt * CONFIG.timeSlowScale : dt;
+}
+
+function updateLaser(state, player, dt) {
+    const laser = player.laser;
+    if (!laser.active) return;
+    
+    // Follow player X position
+    laser.x = player.x;
+    
+    // Check collision with all aliens
+    for (let i = state.aliens.length - 1; i >= 0; i--) {
+        const alien = state.aliens[i];
+        const type = getEnemyType(alien.type);
+        
+        // Tough aliens burn down instead of dying instantly. The damage is
+        // continuous, so no alienDamaged event - just the hook.
+        if (type.laserDamage !== null) {
+            const bounds = getBounds(getAlienVolume(alien));
+            if (laser.x > bounds.minX - CONFIG.laserHitWidth && laser.x < bounds.maxX + CONFIG.laserHitWidth) {
+                alien.health -= type.laserDamage * dt;
+                if (alien.health <= 0) {
+                    killAlien(state, i, 'laser', player);
+                } else if (type.onDamaged) {
+                    type.onDamaged(state, alien, null);
+                }
+            }
+            continue;
+        }
+        
+        // Check if alien is within laser's X range - instant kill
+        if (Math.abs(alien.x - laser.x) < CONFIG.laserHitWidth) {
+            alien.health = 0;
+            killAlien(state, i, 'laser', player);
+        }
+    }
+}
+
+// Everything on screen goes - tough aliens like bosses just take a heavy hit
+function detonateSmartBomb(state, player) {
+    state.enemyBullets = [];
+    
+    for (let i = state.aliens.length - 1; i >= 0; i--) {
+        const alien = state.aliens[i];
+        if (alien.z < CONFIG.alienFireMinZ) continue; // Not on screen yet
+        
+        const bombDamage = getEnemyType(alien.type).bombDamage;
+        if (bombDamage !== null) {
+            alien.health -= bombDamage;
+            if (alien.health <= 0) {
+                killAlien(state, i, 'bomb', player);
+            } else {
+                damageAlien(state, alien);
+            }
+        } else {
+            alien.health = 0;
+            killAlien(state, i, 'bomb', player);
+        }
+    }
+    
+    emit(state, 'bombDetonated', { x: player.x, z: player.z, player: player.index });
+}
+
+// The clone flies beside the player, swapping sides near the edges
+function updateClone(player, dt) {
+    const clone = player.clone;
+    if (!clone) return;
+    
+    let targetX = player.x + CONFIG.cloneOffset;
+    if (targetX > CONFIG.playerBounds) {
+        targetX = player.x - CONFIG.cloneOffset;
+    }
+    
+    const dx = targetX - clone.x;
+    clone.x += Math.sign(dx) * Math.min(Math.abs(dx), CONFIG.cloneSpeed * dt);
+}
+
+// ============================================================================
+// COLLISION DETECTION
+// ============================================================================
+// World-space hit volumes
+export function getAlienVolume(alien) {
+    const type = getEnemyType(alien.type);
+    const parts = type.getHitShapes ? type.getHitShapes(alien) : type.hitShapes;
+    return placeParts(parts, alien.x, alien.z, alien.scale);
+}
+
+function getWeakPointParts(boss) {
+    return getExposedWeakPoints(boss).map(point => ({
+        shape: 'circle',
+        x: point.x,
+        z: point.z,
+        radius: point.radius,
+        weakPoint: point
+    }));
+}
+
+export function getPlayerVolume(player) {
+    return placeParts(CONFIG.hitShapes.player, player.x, player.z);
+}
+
+export function getBulletVolume(bullet) {
+    return [{ shape: 'circle', x: bullet.x, z: bullet.z, radius: getWeapon(bullet.weapon).hitRadius }];
+}
+
+export function getEnemyBulletVolume(projectile) {
+    return placeParts(CONFIG.hitShapes.enemyBullet, projectile.x, projectile.z);
+}
+
+export function getPowerUpVolume(powerUp) {
+    return placeParts(CONFIG.hitShapes.powerUp, powerUp.x, powerUp.z);
+}
+
+// Every hit volume in play, for drawing: [{ kind, parts }]
+export function getHitVolumes(state) {
+    return [
+        ...getActivePlayers(state).map(player => ({ kind: 'player', parts: getPlayerVolume(player) })),
+        ...state.aliens.map(alien => ({ kind: 'alien', parts: getAlienVolume(alien) })),
+        ...state.bullets.map(bullet => ({ kind: 'bullet', parts: getBulletVolume(bullet) })),
+        ...state.enemyBullets.map(projectile => ({ kind: 'enemyBullet', parts: getEnemyBulletVolume(projectile) })),
+        ...state.powerUps.map(powerUp => ({ kind: 'powerUp', parts: getPowerUpVolume(powerUp) }))
+    ];
+}
+
+// Set from the alien's type when it spawns - bosses are worth more each time
+export function getAlienPoints(alien) {
+    return alien.points;
+}
+
+// Weak points the boss currently has open
+export function getExposedWeakPoints(boss) {
+    return CONFIG.bossWeakPoints.filter(point => boss.phase >= point.phase);
+}
+
+// Where a bullet hits an alien: { damage, weakPoint } or null for a miss
+function getBulletHit(bulletVolume, bullet, alienVolume) {
+    const part = findOverlap(bulletVolume, alienVolume);
+    if (!part) return null;
+    
+    return part.weakPoint
+        ? { damage: bullet.damage * CONFIG.bossWeakPointDamage, weakPoint: part.weakPoint }
+        : { damage: bullet.damage, weakPoint: null };
+}
+
+export function checkCollisions(state) {
+    // Broad phase - sort aliens into grid cells so each bullet only tests
+    // the aliens around it
+    const grid = createGrid(CONFIG.collisionCellSize);
+    state.aliens.forEach((alien) => {
+        const volume = getAlienVolume(alien);
+        insertIntoGrid(grid, { alien: alien, volume: volume }, getBounds(volume));
+    });
+    
+    for (let i = state.bullets.length - 1; i >= 0; i--) {
+        const bullet = state.bullets[i];
+        const bulletVolume = getBulletVolume(bullet);
+        
+        // Newest aliens first, like walking the alien list backwards
+        const candidates = queryGrid(grid, getBounds(bulletVolume))
+            .sort((a, b) => b.alien.id - a.alien.id);
+        
+        for (const candidate of candidates) {
+            const alien = candidate.alien;
+            if (bullet.hitIds.includes(alien.id)) continue;
+            
+            // Already killed by an earlier bullet this tick
+            const j = state.aliens.indexOf(alien);
+            if (j === -1) continue;
+            
+            const hit = getBulletHit(bulletVolume, bullet, candidate.volume);
+            
+            if (hit) {
+                markShotHit(state, bullet);
+                
+                // Hit! Piercing bullets carry on, others are used up
+                const passesThrough = bullet.pierce > 0;
+                if (passesThrough) {
+                    bullet.pierce--;
+                    bullet.hitIds.push(alien.id);
+                } else {
+                    removeBullet(state, i);
+                }
+                
+                // Reduce health
+                alien.health -= hit.damage;
+                
+                if (alien.health <= 0) {
+                    killAlien(state, j, 'bullet', state.players[bullet.player]);
+                } else {
+                    damageAlien(state, alien, hit.weakPoint);
+                }
+                
+                if (!passesThrough) break;
+            }
+        }
+    }
+}
+
+function damageAlien(state, alien, weakPoint = null) {
+    const type = getEnemyType(alien.type);
+    if (type.onDamaged) {
+        type.onDamaged(state, alien, weakPoint);
+    }
+    
+    emit(state, 'alienDamaged', { alien: alien, weakPoint: weakPoint });
+}
+
+// player: whose bullet, laser or bomb it was - the kill counts for them and
+// for the team
+function killAlien(state, index, cause, player) {
+    const alien = state.aliens[index];
+    state.aliens.splice(index, 1);
+    
+    // Every kill extends the chain, and the chain's multiplier applies to this kill
+    addComboKill(state, player);
+    const basePoints = getAlienPoints(alien);
+    const points = basePoints * player.combo.multiplier;
+    player.score += points;
+    state.score += points;
+    
+    emit(state, 'alienKilled', {
+        alien: alien,
+        points: points,
+        multiplier: player.combo.multiplier,
+        cause: cause,
+        player: player.index
+    });
+    chargeAbility(state, player, basePoints, cause);
+    
+    const type = getEnemyType(alien.type);
+    if (type.onDeath) {
+        type.onDeath(state, alien, cause);
+    }
+    
+    const dropChance = state.waveDefinition.rules.noDrops ? 0 : type.dropChance;
+    if (random(state) < dropChance) {
+        dropPowerUp(state, alien);
+    }
+}
+
+// ============================================================================
+// COMBOS
+// ============================================================================
+export function getComboMultiplier(chain) {
+    return Math.min(CONFIG.comboMaxMultiplier, 1 + Math.floor(chain / CONFIG.comboKillsPerLevel));
+}
+
+// Each player builds their own chain
+function addComboKill(state, player) {
+    const combo = player.combo;
+    combo.chain++;
+    combo.lastKillTime = state.time;
+    
+    const multiplier = getComboMultiplier(combo.chain);
+    if (multiplier > combo.multiplier) {
+        emit(state, 'comboMultiplierUp', { multiplier: multiplier, player: player.index });
+    }
+    combo.multiplier = multiplier;
+}
+
+// reason: 'miss', 'hit' or 'timeout'
+function breakCombo(state, player, reason) {
+    const combo = player.combo;
+    if (combo.chain === 0) return;
+    
+    emit(state, 'comboEnded', { chain: combo.chain, reason: reason, player: player.index });
+    combo.chain = 0;
+    combo.multiplier = 1;
+}
+
+// ============================================================================
+// ALIEN MOVEMENT
+// ============================================================================
+function updateAliens(state, dt) {
+    const currentSpeed = CONFIG.alienSpeed * state.waveDefinition.speed;
+    const formation = state.formation;
+    const pattern = formation ? FORMATIONS[formation.pattern] : null;
+    
+    if (pattern) {
+        pattern.update(state, formation, dt, currentSpeed);
+    }
+    
+    for (let i = state.aliens.length - 1; i >= 0; i--) {
+        const alien = state.aliens[i];
+        const type = getEnemyType(alien.type);
+        const speed = currentSpeed * type.speedScale;
+        
+        const moved = type.onUpdate ? type.onUpdate(state, alien, dt, speed) : false;
+        if (!moved && alien.slot) {
+            // Formation members follow their slot in the pattern
+            const position = pattern.place(formation, alien.slot);
+            alien.x = position.x;
+            alien.z = position.z;
+        } else if (!moved) {
+            // Normal movement toward player (positive Z direction)
+            alien.z += speed * dt;
+        }
+        
+        // Check if alien reached the player
+        if (alien.z >= CONFIG.playerZ - CONFIG.alienHitDistance) {
+            playerHit(state, i);
+            if (state.gameOver) return;
+        }
+    }
+}
+
+// ============================================================================
+// BOSS
+// ============================================================================
+function updateBoss(state, boss, dt, speed) {
+    const phase = CONFIG.bossPhases[boss.phase];
+    
+    // Fly in, then hold position
+    boss.z = Math.min(CONFIG.bossHoverZ, boss.z + speed * dt);
+    
+    if (phase.trackSpeed > 0) {
+        // Hunt the nearest player's X position
+        const dx = getTargetPlayer(state, boss.x).x - boss.x;
+        boss.x += Math.sign(dx) * Math.min(Math.abs(dx), phase.trackSpeed * dt);
+    } else {
+        // Sway side to side (velocity form, so phase changes don't jump)
+        boss.swayPhase += phase.swaySpeed * dt;
+        boss.x += Math.cos(boss.swayPhase) * phase.swayAmplitude * phase.swaySpeed * dt;
+    }
+    
+    boss.x = Math.max(-CONFIG.playerBounds, Math.min(CONFIG.playerBounds, boss.x));
+}
+
+// Move to the next phase once health drops past its threshold
+function updateBossPhase(state, boss) {
+    const fraction = boss.health / boss.maxHealth;
+    let phase = boss.phase;
+    
+    while (phase + 1 < CONFIG.bossPhases.length && fraction <= CONFIG.bossPhases[phase + 1].health) {
+        phase++;
+    }
+    
+    if (phase !== boss.phase) {
+        boss.phase = phase;
+        emit(state, 'bossPhaseChanged', { alien: boss, phase: phase });
+    }
+}
+
+// Fan of shots centred on the player
+function fireBossVolley(state, boss) {
+    const phase = CONFIG.bossPhases[boss.phase];
+    for (let i = 0; i < phase.shots; i++) {
+        fireEnemyBullet(state, boss, (i - (phase.shots - 1) / 2) * phase.spread);
+    }
+}
+
+// An alien got through - it crashes into the nearest ship
+function playerHit(state, index) {
+    // Remove the alien that hit the player
+    const alien = state.aliens[index];
+    state.aliens.splice(index, 1);
+    
+    damagePlayer(state, getTargetPlayer(state, alien.x), { alien: alien, x: alien.x, y: alien.y, z: alien.z });
+}
+
+// Lose a life - shared by everything that can hit a ship.
+// hit: { x, y, z } where it happened, plus the alien or projectile
+// responsible. The player's index is added to it for the events.
+function damagePlayer(state, player, hit) {
+    hit.player = player.index;
+    
+    // The shield soaks up everything while it lasts
+    if (isEffectActive(state, player, 'shield')) {
+        emit(state, 'shieldHit', hit);
+        return;
+    }
+    
+    player.lives--;
+    state.waveStats.damageTaken = true;
+    breakCombo(state, player, 'hit');
+    emit(state, 'playerHit', hit);
+    
+    if (player.lives <= 0) {
+        knockOutPlayer(state, player);
+    }
+}
+
+// Out of lives - the ship leaves the field and the run is over once every
+// player is out
+function knockOutPlayer(state, player) {
+    player.out = true;
+    if (player.ability.active) {
+        endAbility(state, player);
+    }
+    emit(state, 'playerOut', { player: player.index, score: player.score });
+    
+    if (getActivePlayers(state).length === 0 && !state.gameOver) {
+        state.gameOver = true;
+        emit(state, 'gameOver', { score: state.score, wave: state.wave });
+    }
+}
+
+// ============================================================================
+// ENEMY FIRE
+// ============================================================================
+export function getAlienFireRate(type, wave) {
+    const baseRate = getEnemyType(type).fireRate;
+    return baseRate * (1 + (wave - 1) * CONFIG.alienFireRateWaveScale);
+}
+
+// Milliseconds until an alien's next shot. Exponentially distributed, so
+// shots come at random moments but average out to the fire rate.
+function getAlienFireInterval(state, alien) {
+    const type = getEnemyType(alien.type);
+    const rateScale = state.waveDefinition.rules.fireRateScale;
+    if (type.fireInterval) return type.fireInterval(state, alien) / rateScale;
+    
+    const rate = getAlienFireRate(alien.type, state.wave) * rateScale;
+    if (rate <= 0) return Infinity;
+    return -Math.log(1 - random(state)) / rate * 1000;
+}
+
+function updateAlienFiring(state, dt) {
+    // Time slow holds back their trigger fingers too
+    const slowDelay = isTimeSlowed(state) ? dt * 1000 * (1 - CONFIG.timeSlowScale) : 0;
+    
+    state.aliens.forEach((alien) => {
+        alien.nextFireTime += slowDelay;
+        if (state.time < alien.nextFireTime) return;
+        
+        alien.nextFireTime = state.time + getAlienFireInterval(state, alien);
+        
+        // Too far back to take a shot
+        if (alien.z < CONFIG.alienFireMinZ) return;
+        
+        const type = getEnemyType(alien.type);
+        if (type.onFire) {
+            type.onFire(state, alien);
+        } else {
+            fireEnemyBullet(state, alien);
+        }
+    });
+}
+
+// angle: radians to turn the shot away from the player
+function fireEnemyBullet(state, alien, angle = 0) {
+    const z = alien.z + getEnemyType(alien.type).muzzleZ;
+    
+    // Aim at where the nearest ship is now - moving along X dodges it
+    const target = getTargetPlayer(state, alien.x);
+    const dx = target.x - alien.x;
+    const dz = target.z - z;
+    const length = Math.sqrt(dx * dx + dz * dz) || 1;
+    const dirX = dx / length;
+    const dirZ = dz / length;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    
+    const projectile = {
+        id: state.nextId++,
+        sourceType: alien.type,
+        x: alien.x,
+        y: CONFIG.enemyBulletStartY,
+        z: z,
+        prevX: alien.x,
+        prevZ: z,
+        vx: (dirX * cos - dirZ * sin) * CONFIG.enemyBulletSpeed,
+        vz: (dirX * sin + dirZ * cos) * CONFIG.enemyBulletSpeed
+    };
+    state.enemyBullets.push(projectile);
+    
+    emit(state, 'enemyFired', { alien: alien, projectile: projectile });
+}
+
+function updateEnemyBullets(state, dt) {
+    const ships = getActivePlayers(state).map(player => ({ player: player, volume: getPlayerVolume(player) }));
+    
+    for (let i = state.enemyBullets.length - 1; i >= 0; i--) {
+        const projectile = state.enemyBullets[i];
+        projectile.x += projectile.vx * dt;
+        projectile.z += projectile.vz * dt;
+        
+        // Hit a ship? Ships knocked out this tick are already gone.
+        const projectileVolume = getEnemyBulletVolume(projectile);
+        const ship = ships.find(candidate => !candidate.player.out && findOverlap(projectileVolume, candidate.volume));
+        if (ship) {
+            state.enemyBullets.splice(i, 1);
+            damagePlayer(state, ship.player, { projectile: projectile, x: projectile.x, y: projectile.y, z: projectile.z });
+            if (state.gameOver) return;
+            continue;
+        }
+        
+        // Remove once past the ship or off the sides
+        if (projectile.z > CONFIG.enemyBulletMaxZ || Math.abs(projectile.x) > CONFIG.enemyBulletMaxX) {
+            state.enemyBullets.splice(i, 1);
+        }
+    }
+}
+
+// ============================================================================
+// POWER-UPS
+// ============================================================================
+function pickPowerUpType(state) {
+    const weights = CONFIG.powerUpWeights;
+    const types = Object.keys(weights);
+    const total = types.reduce((sum, type) => sum + weights[type], 0);
+    
+    let roll = random(state) * total;
+    for (const type of types) {
+        roll -= weights[type];
+        if (roll < 0) return type;
+    }
+    return types[types.length - 1];
+}
+
+function dropPowerUp(state, alien) {
+    const powerUp = {
+        id: state.nextId++,
+        type: pickPowerUpType(state),
+        x: alien.x,
+        y: CONFIG.bulletStartY,
+        z: alien.z,
+        prevX: alien.x,
+        prevZ: alien.z
+    };
+    state.powerUps.push(powerUp);
+    emit(state, 'powerUpDropped', { powerUp: powerUp });
+}
+
+function updatePowerUps(state, dt) {
+    const ships = getActivePlayers(state).map(player => ({ player: player, volume: getPlayerVolume(player) }));
+    
+    for (let i = state.powerUps.length - 1; i >= 0; i--) {
+        const powerUp = state.powerUps[i];
+        
+        // Drift toward the nearest player, homing in gently along X
+        const dx = getTargetPlayer(state, powerUp.x).x - powerUp.x;
+        powerUp.x += Math.sign(dx) * Math.min(Math.abs(dx), CONFIG.powerUpHomingSpeed * dt);
+        powerUp.z += CONFIG.powerUpSpeed * dt;
+        
+        // Collected by whoever flies over it first
+        const powerUpVolume = getPowerUpVolume(powerUp);
+        const ship = ships.find(candidate => findOverlap(powerUpVolume, candidate.volume));
+        if (ship) {
+            state.powerUps.splice(i, 1);
+            collectPowerUp(state, ship.player, powerUp);
+            continue;
+        }
+        
+        if (powerUp.z > CONFIG.powerUpMaxZ) {
+            state.powerUps.splice(i, 1);
+        }
+    }
+}
+
+// Power-ups only help the player who picked them up
+function collectPowerUp(state, player, powerUp) {
+    const type = powerUp.type;
+    
+    if (type === 'life') {
+        player.lives = Math.min(CONFIG.maxLives, player.lives + 1);
+    } else if (type === 'recharge') {
+        fillAbility(state, player);
+    } else {
+        // Timed effect - picking up another one restarts the clock
+        player.effects[type] = state.time + CONFIG.powerUpDurations[type];
+    }
+    
+    emit(state, 'powerUpCollected', { powerUp: powerUp, player: player.index });
+}
+
+export function isEffectActive(state, player, type) {
+    return player.effects[type] > state.time;
+}
+
+// Timed effects still running on the player: [{ type, remaining }] with
+// remaining in ms
+export function getActiveEffects(state, player) {
+    return Object.keys(player.effects)
+        .filter(type => isEffectActive(state, player, type))
+        .map(type => ({ type: type, remaining: player.effects[type] - state.time }));
+}
+
+function updateEffects(state, player) {
+    Object.keys(player.effects).forEach((type) => {
+        if (player.effects[type] > 0 && state.time >= player.effects[type]) {
+            player.effects[type] = 0;
+            emit(state, 'powerUpExpired', { effect: type, player: player.index });
+        }
+    });
+}
@@ -0,0 +1,46 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDefaultBindings, loadBindings, describeAction } from '../bindings.js';
+
+// Node has no localStorage - a map is enough for the bindings
+const stored = new Map();
+globalThis.localStorage = {
+    getItem: key => (stored.has(key) ? stored.get(key) : null),
+    setItem: (key, value) => stored.set(key, String(value))
+};
+
+function saveRaw(bindings) {
+    localStorage.setItem('spaceInvaders.keyBindings', JSON.stringify(bindings));
+}
+
+beforeEach(() => stored.clear());
+
+test('nothing saved loads the defaults', () => {
+    assert.deepEqual(loadBindings(), getDefaultBindings());
+});
+
+test('pre-co-op bindings keep their keys and only lose colliding player two defaults', () => {
+    // Saved before the player two actions existed, with ability on K and
+    // shoot on I - both now player two defaults
+    saveRaw({
+        left: ['ArrowLeft', 'KeyA'],
+        right: ['ArrowRight', 'KeyD'],
+        shoot: ['Space', 'KeyI'],
+        ability: ['KeyK', null],
+        pause: ['KeyP', 'Escape'],
+        mute: ['KeyM', null]
+    });
+    
+    const bindings = loadBindings();
+    assert.deepEqual(bindings.ability, ['KeyK', null]);
+    assert.deepEqual(bindings.shoot, ['Space', 'KeyI']);
+    assert.deepEqual(bindings.ability2, [null, null]);
+    assert.deepEqual(bindings.shoot2, [null, null]);
+    assert.deepEqual(bindings.left2, getDefaultBindings().left2);
+    assert.equal(describeAction(bindings, 'ability2'), '-');
+});
+
+test('saved actions sharing a key fall back to the defaults', () => {
+    saveRaw({ left: ['KeyZ', null], right: ['KeyZ', null] });
+    assert.deepEqual(loadBindings(), getDefaultBindings());
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation, step, takeEvents } from '../simulation.js';
+import {
+    REPLAY_VERSION,
+    createRecorder,
+    recordInput,
+    finishRecording,
+    serializeReplay,
+    parseReplay,
+    verifyReplay
+} from '../replay.js';
+
+// Record a short two-player run that moves and shoots
+function recordRun() {
+    const sim = createSimulation({ seed: 3, players: 2 });
+    const recorder = createRecorder(3, 'full', 'laser', 60, null, 2);
+    for (let i = 0; i < 300; i++) {
+        const inputs = [
+            { move: i < 150 ? -0.5 : 1, shoot: i % 20 === 0, ability: false, weapon: 0 },
+            { move: 0, shoot: i % 30 === 0, ability: false, weapon: i === 100 ? 2 : 0 }
+        ];
+        recordInput(recorder, inputs);
+        step(sim, 1 / 60, inputs);
+        takeEvents(sim);
+    }
+    return finishRecording(recorder, { score: sim.score, wave: sim.wave });
+}
+
+test('a saved replay plays back to the recorded result', () => {
+    const replay = parseReplay(serializeReplay(recordRun()));
+    assert.equal(replay.version, REPLAY_VERSION);
+    assert.equal(verifyReplay(replay).valid, true);
+});
+
+test('replays from older versions are rejected as recorded with an older version', () => {
+    const replay = recordRun();
+    replay.version = REPLAY_VERSION - 1;
+    assert.throws(() => parseReplay(serializeReplay(replay)), /recorded with an older version of the game \(replay version 5\)/);
+});
+
+test('replays from newer or unknown versions are rejected', () => {
+    const replay = recordRun();
+    replay.version = REPLAY_VERSION + 1;
+    assert.throws(() => parseReplay(serializeReplay(replay)), /recorded with a newer version of the game/);
+    replay.version = 'abc';
+    assert.throws(() => parseReplay(serializeReplay(replay)), /Unsupported replay version: abc/);
+});
@@ -0,0 +1,474 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CONFIG,
+    createSimulation,
+    step,
+    takeEvents,
+    isEffectActive,
+    isAbilityReady,
+    isTimeSlowed,
+    ENEMY_TYPES,
+    WAVE_RULES
+} from '../simulation.js';
+import { getAbility } from '../abilities.js';
+import { checkWaves } from '../waves.js';
+
+const IDLE = { move: 0, shoot: false, ability: false, weapon: 0 };
+const SHOOT = { move: 0, shoot: true, ability: false, weapon: 0 };
+const ABILITY = { move: 0, shoot: false, ability: true, weapon: 0 };
+const DT = 1 / 60;
+
+// Step until `done` returns true, failing after `maxTicks`. input: the one
+// player's command, or a list with one per player.
+function stepUntil(sim, input, done, maxTicks = 600) {
+    const inputs = Array.isArray(input) ? input : [input];
+    const events = [];
+    for (let i = 0; i < maxTicks; i++) {
+        step(sim, DT, inputs);
+        events.push(...takeEvents(sim));
+        if (done(events)) return events;
+    }
+    assert.fail(`Gave up after ${maxTicks} ticks`);
+}
+
+// Keep one alien per [x, z], flying alone and holding its fire, and drop
+// the rest
+function placeAliens(sim, positions) {
+    sim.aliens = sim.aliens.slice(0, positions.length);
+    sim.aliens.forEach((alien, i) => {
+        const [x, z] = positions[i];
+        delete alien.slot;
+        Object.assign(alien, { x: x, z: z, prevX: x, prevZ: z, nextFireTime: Infinity });
+    });
+    return sim.aliens;
+}
+
+function isolateAlien(sim, x, z) {
+    return placeAliens(sim, [[x, z]])[0];
+}
+
+// An enemy shot right on top of the ship at x
+function placeEnemyShot(sim, x) {
+    sim.enemyBullets.push({ id: sim.nextId++, sourceType: 'normal', x: x, y: 0, z: CONFIG.playerZ, prevX: x, prevZ: CONFIG.playerZ, vx: 0, vz: 0 });
+}
+
+// ============================================================================
+// SPAWNING
+// ============================================================================
+test('wave 1 spawns the base number of aliens', () => {
+    const sim = createSimulation({ seed: 1 });
+    assert.equal(sim.wave, 1);
+    assert.equal(sim.aliens.length, CONFIG.alienBaseCount);
+    assert.ok(sim.aliens.every(alien => alien.type === 'normal'));
+    assert.deepEqual(takeEvents(sim).map(event => event.type), ['waveStarted']);
+});
+
+test('the same seed spawns the same layout', () => {
+    const positions = sim => sim.aliens.map(alien => [alien.x, alien.y, alien.z]);
+    assert.deepEqual(positions(createSimulation({ seed: 7, wave: 4 })), positions(createSimulation({ seed: 7, wave: 4 })));
+});
+
+test('chargers join from their start wave', () => {
+    const sim = createSimulation({ seed: 1, wave: CONFIG.chargerStartWave });
+    assert.equal(sim.aliens.filter(alien => alien.type === 'charger').length, 1);
+});
+
+test('a rings wave with no formation aliens still spawns', () => {
+    const waves = checkWaves([
+        { formation: 'rings', enemies: [{ type: 'charger', count: 2 }] },
+        { formation: 'rings', enemies: [{ type: 'normal', count: 4, delay: 1000 }] }
+    ]);
+    
+    const chargers = createSimulation({ seed: 1, waves: waves });
+    assert.deepEqual(chargers.aliens.map(alien => alien.type), ['charger', 'charger']);
+    
+    const delayed = createSimulation({ seed: 1, waves: waves, wave: 2 });
+    assert.equal(delayed.aliens.length, 0);
+    stepUntil(delayed, IDLE, found => found.some(event => event.type === 'reinforcementsArrived'));
+    assert.equal(delayed.aliens.length, 4);
+    assert.equal(delayed.wave, 2);
+});
+
+// ============================================================================
+// WAVE ADVANCE
+// ============================================================================
+test('clearing a wave awards the bonus and spawns the next one after the delay', () => {
+    const sim = createSimulation({ seed: 1 });
+    takeEvents(sim);
+    sim.aliens = [];
+    
+    step(sim, DT, [IDLE]);
+    const events = takeEvents(sim);
+    const cleared = events.find(event => event.type === 'waveCleared');
+    assert.equal(cleared.wave, 1);
+    assert.equal(sim.score, cleared.total);
+    assert.ok(events.some(event => event.type === 'waveStarted' && event.wave === 2));
+    assert.equal(sim.wave, 2);
+    assert.equal(sim.aliens.length, 0);
+    
+    stepUntil(sim, IDLE, () => sim.aliens.length > 0, Math.ceil(CONFIG.waveSpawnDelay / 1000 / DT) + 2);
+    assert.equal(sim.aliens.length, CONFIG.alienBaseCount + 1);
+});
+
+// ============================================================================
+// COLLISIONS
+// ============================================================================
+test('a bullet kills the alien in front of the ship and scores it', () => {
+    const sim = createSimulation({ seed: 1 });
+    takeEvents(sim);
+    // A second alien out of the line of fire keeps the wave bonus out of the score
+    const [alien, bystander] = placeAliens(sim, [[0, CONFIG.playerZ - 10], [12, CONFIG.playerZ - 10]]);
+    
+    const events = stepUntil(sim, SHOOT, found => found.some(event => event.type === 'alienKilled'));
+    const killed = events.find(event => event.type === 'alienKilled');
+    assert.equal(killed.alien, alien);
+    assert.equal(killed.cause, 'bullet');
+    assert.ok(killed.points > 0);
+    assert.equal(sim.score, killed.points);
+    assert.equal(sim.players[0].score, killed.points);
+    assert.deepEqual(sim.aliens, [bystander]);
+});
+
+test('an alien reaching the ship costs a life', () => {
+    const sim = createSimulation({ seed: 1 });
+    takeEvents(sim);
+    isolateAlien(sim, 0, CONFIG.playerZ - CONFIG.alienHitDistance - 0.01);
+    
+    stepUntil(sim, IDLE, found => found.some(event => event.type === 'playerHit'));
+    assert.equal(sim.players[0].lives, CONFIG.maxLives - 1);
+    assert.equal(sim.aliens.length, 0);
+});
+
+test('an enemy projectile on the ship costs a life, and the last life ends the run', () => {
+    const sim = createSimulation({ seed: 1 });
+    takeEvents(sim);
+    isolateAlien(sim, 10, CONFIG.alienStartZ);
+    sim.players[0].lives = 1;
+    placeEnemyShot(sim, 0);
+    
+    step(sim, DT, [IDLE]);
+    const types = takeEvents(sim).map(event => event.type);
+    assert.ok(types.includes('playerHit'));
+    assert.ok(types.includes('gameOver'));
+    assert.equal(sim.gameOver, true);
+    assert.equal(sim.enemyBullets.length, 0);
+});
+
+// ============================================================================
+// POWER-UPS
+// ============================================================================
+// A power-up of the given type about to reach the ship at x
+function placePowerUp(sim, type, x) {
+    const z = CONFIG.playerZ - 0.5;
+    sim.powerUps.push({ id: sim.nextId++, type: type, x: x, y: CONFIG.bulletStartY, z: z, prevX: x, prevZ: z });
+}
+
+test('a collected power-up runs for its duration', () => {
+    const sim = createSimulation({ seed: 1 });
+    takeEvents(sim);
+    isolateAlien(sim, 10, CONFIG.alienStartZ);
+    placePowerUp(sim, 'rapid', 0);
+    
+    step(sim, DT, [IDLE]);
+    const collected = takeEvents(sim).find(event => event.type === 'powerUpCollected');
+    assert.equal(collected.powerUp.type, 'rapid');
+    assert.equal(sim.powerUps.length, 0);
+    assert.ok(isEffectActive(sim, sim.players[0], 'rapid'));
+    const start = sim.time;
+    
+    const events = stepUntil(sim, IDLE, found => found.some(event => event.type === 'powerUpExpired'),
+        Math.ceil(CONFIG.powerUpDurations.rapid / 1000 / DT) + 2);
+    assert.equal(events.find(event => event.type === 'powerUpExpired').effect, 'rapid');
+    assert.ok(sim.time - start >= CONFIG.powerUpDurations.rapid);
+    assert.equal(isEffectActive(sim, sim.players[0], 'rapid'), false);
+});
+
+test('the shield soaks up a hit', () => {
+    const sim = createSimulation({ seed: 1 });
+    takeEvents(sim);
+    isolateAlien(sim, 10, CONFIG.alienStartZ);
+    placePowerUp(sim, 'shield', 0);
+    step(sim, DT, [IDLE]);
+    takeEvents(sim);
+    
+    placeEnemyShot(sim, 0);
+    step(sim, DT, [IDLE]);
+    const types = takeEvents(sim).map(event => event.type);
+    assert.ok(types.includes('shieldHit'));
+    assert.equal(types.includes('playerHit'), false);
+    assert.equal(sim.players[0].lives, CONFIG.maxLives);
+});
+
+test('an extra life never goes past the maximum', () => {
+    const sim = createSimulation({ seed: 1 });
+    takeEvents(sim);
+    isolateAlien(sim, 10, CONFIG.alienStartZ);
+    sim.players[0].lives = CONFIG.maxLives - 1;
+    
+    placePowerUp(sim, 'life', 0);
+    step(sim, DT, [IDLE]);
+    assert.equal(sim.players[0].lives, CONFIG.maxLives);
+    
+    placePowerUp(sim, 'life', 0);
+    step(sim, DT, [IDLE]);
+    assert.equal(sim.players[0].lives, CONFIG.maxLives);
+});
+
+// ============================================================================
+// ABILITIES
+// ============================================================================
+function fillMeter(sim, amount = 0) {
+    const player = sim.players[0];
+    player.ability.charge = getAbility(player.ability.id).cost - amount;
+    return player;
+}
+
+test('bullet kills charge the ability until it is ready', () => {
+    const sim = createSimulation({ seed: 1 });
+    takeEvents(sim);
+    placeAliens(sim, [[0, CONFIG.playerZ - 10], [12, CONFIG.playerZ - 10]]);
+    const player = fillMeter(sim, 0.5);
+    assert.equal(isAbilityReady(player), false);
+    
+    const events = stepUntil(sim, SHOOT, found => found.some(event => event.type === 'alienKilled'));
+    assert.ok(events.some(event => event.type === 'abilityReady'));
+    assert.ok(isAbilityReady(player));
+});
+
+test('the ability only goes off with a full meter', () => {
+    const sim = createSimulation({ seed: 1, ability: 'bomb' });
+    takeEvents(sim);
+    fillMeter(sim, 1);
+    
+    step(sim, DT, [ABILITY]);
+    assert.equal(takeEvents(sim).some(event => event.type === 'abilityStarted'), false);
+    assert.equal(sim.aliens.length, CONFIG.alienBaseCount);
+});
+
+test('the smart bomb clears aliens on screen and their fire without charging the meter', () => {
+    const sim = createSimulation({ seed: 1, ability: 'bomb' });
+    takeEvents(sim);
+    const [, offScreen] = placeAliens(sim, [[0, CONFIG.playerZ - 10], [0, CONFIG.alienFireMinZ - 5]]);
+    placeEnemyShot(sim, 10);
+    const player = fillMeter(sim);
+    
+    step(sim, DT, [ABILITY]);
+    const events = takeEvents(sim);
+    const kills = events.filter(event => event.type === 'alienKilled');
+    assert.deepEqual(kills.map(event => event.cause), ['bomb']);
+    assert.ok(events.some(event => event.type === 'bombDetonated'));
+    assert.deepEqual(sim.aliens, [offScreen]);
+    assert.equal(sim.enemyBullets.length, 0);
+    assert.equal(player.ability.charge, 0);
+    assert.equal(player.ability.active, false);
+});
+
+test('time slow slows the enemies until it runs out', () => {
+    const sim = createSimulation({ seed: 1, ability: 'timeSlow' });
+    takeEvents(sim);
+    const alien = isolateAlien(sim, 10, CONFIG.alienStartZ);
+    fillMeter(sim);
+    
+    step(sim, DT, [IDLE]);
+    const normalStep = alien.z - alien.prevZ;
+    step(sim, DT, [ABILITY]);
+    assert.ok(isTimeSlowed(sim));
+    assert.ok(Math.abs((alien.z - alien.prevZ) - normalStep * CONFIG.timeSlowScale) < 1e-9);
+    
+    stepUntil(sim, IDLE, found => found.some(event => event.type === 'abilityEnded'),
+        Math.ceil(getAbility('timeSlow').duration / 1000 / DT) + 2);
+    assert.equal(isTimeSlowed(sim), false);
+});
+
+// ============================================================================
+// BOSS
+// ============================================================================
+// The boss of a boss wave, already flown in to where it hovers
+function hoveringBoss(sim) {
+    const boss = sim.aliens[0];
+    Object.assign(boss, { z: CONFIG.bossHoverZ, prevZ: CONFIG.bossHoverZ });
+    return boss;
+}
+
+// A player bullet hanging still at (x, z), as if it just flew there
+function placeBullet(sim, x, z) {
+    const shot = { id: sim.nextId++, player: 0, remaining: 1, hit: false };
+    sim.shots.push(shot);
+    sim.bullets.push({
+        id: sim.nextId++,
+        player: 0,
+        weapon: sim.players[0].weapon,
+        x: x,
+        y: CONFIG.bulletStartY,
+        z: z,
+        prevX: x,
+        prevZ: z,
+        vx: 0,
+        vz: 0,
+        damage: 1,
+        pierce: 0,
+        hitIds: [],
+        shotId: shot.id
+    });
+}
+
+test('boss waves bring one boss, tougher and worth more each time', () => {
+    const first = createSimulation({ seed: 1, wave: CONFIG.bossWaveInterval });
+    assert.equal(takeEvents(first).find(event => event.type === 'waveStarted').boss, true);
+    assert.deepEqual(first.aliens.map(alien => alien.type), ['boss']);
+    assert.equal(first.aliens[0].health, CONFIG.bossHealth);
+    assert.equal(first.aliens[0].points, CONFIG.bossBonus);
+    
+    const second = createSimulation({ seed: 1, wave: CONFIG.bossWaveInterval * 2 });
+    assert.equal(second.aliens[0].health, Math.round(CONFIG.bossHealth * (1 + CONFIG.bossHealthGrowth)));
+    assert.equal(second.aliens[0].points, CONFIG.bossBonus * 2);
+});
+
+test('weak points take extra damage and phases follow the boss health', () => {
+    const sim = createSimulation({ seed: 1, wave: CONFIG.bossWaveInterval });
+    takeEvents(sim);
+    const boss = hoveringBoss(sim);
+    const weakPoint = CONFIG.bossWeakPoints[0];
+    boss.health = Math.floor(boss.maxHealth * CONFIG.bossPhases[1].health) + CONFIG.bossWeakPointDamage;
+    const before = boss.health;
+    
+    placeBullet(sim, boss.x + weakPoint.x, boss.z + weakPoint.z);
+    step(sim, DT, [IDLE]);
+    const events = takeEvents(sim);
+    assert.equal(boss.health, before - CONFIG.bossWeakPointDamage);
+    assert.equal(events.find(event => event.type === 'alienDamaged').weakPoint, weakPoint);
+    assert.equal(events.find(event => event.type === 'bossPhaseChanged').phase, 1);
+    assert.equal(boss.phase, 1);
+});
+
+test('a destroyed boss pays its bonus and always drops a power-up', () => {
+    const sim = createSimulation({ seed: 1, wave: CONFIG.bossWaveInterval });
+    takeEvents(sim);
+    const boss = hoveringBoss(sim);
+    boss.health = 1;
+    
+    placeBullet(sim, boss.x, boss.z);
+    step(sim, DT, [IDLE]);
+    const events = takeEvents(sim);
+    assert.equal(events.find(event => event.type === 'alienKilled').points, CONFIG.bossBonus);
+    assert.ok(events.some(event => event.type === 'powerUpDropped'));
+    assert.ok(events.some(event => event.type === 'waveCleared'));
+});
+
+// ============================================================================
+// ENEMY TYPES
+// ============================================================================
+test('every enemy type has the fields the rules read', () => {
+    const fields = ['health', 'speedScale', 'hitShapes', 'points', 'fireRate', 'muzzleZ', 'dropChance', 'laserDamage', 'bombDamage', 'formation', 'model'];
+    Object.entries(ENEMY_TYPES).forEach(([id, type]) => {
+        fields.forEach(field => assert.ok(field in type, `${id} is missing ${field}`));
+        assert.equal(typeof type.model.builder, 'string', `${id} has no model builder`);
+    });
+});
+
+test('a new enemy type plays with nothing but its registry entry', (t) => {
+    const deaths = [];
+    ENEMY_TYPES.tank = {
+        ...ENEMY_TYPES.normal,
+        health: 3,
+        points: 250,
+        dropChance: 0,
+        formation: false,
+        onDeath: (state, alien, cause) => deaths.push(cause)
+    };
+    t.after(() => delete ENEMY_TYPES.tank);
+    
+    const wave = { boss: false, formation: 'march', speed: 1, enemies: [{ type: 'tank', count: 2, delay: 0 }], placed: [], rules: { ...WAVE_RULES } };
+    const sim = createSimulation({ seed: 1, waves: [wave] });
+    takeEvents(sim);
+    assert.deepEqual(sim.aliens.map(alien => [alien.type, alien.health, alien.points]), [['tank', 3, 250], ['tank', 3, 250]]);
+    
+    const [tank] = placeAliens(sim, [[0, CONFIG.playerZ - 10], [12, CONFIG.playerZ - 10]]);
+    const events = stepUntil(sim, SHOOT, found => found.some(event => event.type === 'alienKilled'));
+    assert.equal(events.filter(event => event.type === 'alienDamaged' && event.alien === tank).length, 2);
+    assert.equal(events.find(event => event.type === 'alienKilled').points, 250);
+    assert.deepEqual(deaths, ['bullet']);
+});
+
+test('a damaged charger enrages and charges', () => {
+    const sim = createSimulation({ seed: 1, wave: CONFIG.chargerStartWave });
+    takeEvents(sim);
+    const charger = sim.aliens.find(alien => alien.type === 'charger');
+    sim.aliens = [charger];
+    Object.assign(charger, { x: 5, z: CONFIG.playerZ - 20, prevX: 5, prevZ: CONFIG.playerZ - 20, nextFireTime: Infinity });
+    
+    placeBullet(sim, charger.x, charger.z);
+    step(sim, DT, [IDLE]);
+    assert.ok(takeEvents(sim).some(event => event.type === 'chargerEnraged'));
+    assert.equal(charger.isCharging, true);
+    
+    // Charging heads for the ship
+    const x = charger.x;
+    step(sim, DT, [IDLE]);
+    assert.ok(charger.x < x);
+    assert.ok(charger.z - charger.prevZ >= CONFIG.alienSpeed * ENEMY_TYPES.charger.chargeSpeedScale * DT - 1e-9);
+});
+
+// ============================================================================
+// CO-OP
+// ============================================================================
+test('co-op ships start apart and each kill counts for its shooter and the team', () => {
+    const sim = createSimulation({ seed: 1, players: 2 });
+    takeEvents(sim);
+    const [first, second] = sim.players;
+    assert.equal(second.x - first.x, CONFIG.coopSpacing);
+    
+    const [target] = placeAliens(sim, [[second.x, CONFIG.playerZ - 10], [first.x, CONFIG.alienStartZ]]);
+    const events = stepUntil(sim, [IDLE, SHOOT], found => found.some(event => event.type === 'alienKilled'));
+    const killed = events.find(event => event.type === 'alienKilled');
+    assert.equal(killed.alien, target);
+    assert.equal(killed.player, 1);
+    assert.equal(second.score, killed.points);
+    assert.equal(first.score, 0);
+    assert.equal(sim.score, killed.points);
+});
+
+test('power-ups only help the player who picks them up', () => {
+    const sim = createSimulation({ seed: 1, players: 2 });
+    takeEvents(sim);
+    isolateAlien(sim, 0, CONFIG.alienStartZ);
+    const [first, second] = sim.players;
+    
+    placePowerUp(sim, 'shield', first.x);
+    step(sim, DT, [IDLE, IDLE]);
+    const collected = takeEvents(sim).find(event => event.type === 'powerUpCollected');
+    assert.equal(collected.player, 0);
+    assert.ok(isEffectActive(sim, first, 'shield'));
+    assert.equal(isEffectActive(sim, second, 'shield'), false);
+});
+
+test('a player out of lives drops out and the run ends when everyone is out', () => {
+    const sim = createSimulation({ seed: 1, players: 2 });
+    takeEvents(sim);
+    isolateAlien(sim, 0, CONFIG.alienStartZ);
+    const [first, second] = sim.players;
+    first.lives = 1;
+    second.lives = 1;
+    
+    placeEnemyShot(sim, first.x);
+    step(sim, DT, [IDLE, IDLE]);
+    let types = takeEvents(sim).map(event => event.type);
+    assert.ok(types.includes('playerOut'));
+    assert.equal(types.includes('gameOver'), false);
+    assert.equal(first.out, true);
+    assert.equal(sim.gameOver, false);
+    
+    // The ship that is out neither moves nor shoots
+    const x = first.x;
+    step(sim, DT, [SHOOT, IDLE]);
+    takeEvents(sim);
+    assert.equal(first.x, x);
+    assert.equal(sim.bullets.length, 0);
+    
+    placeEnemyShot(sim, second.x);
+    step(sim, DT, [IDLE, IDLE]);
+    types = takeEvents(sim).map(event => event.type);
+    assert.ok(types.includes('gameOver'));
+    assert.equal(sim.gameOver, true);
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkWaves, parseWaveFile, serializeWaveFile } from '../waves.js';
+
+test('saved waves load back the same', () => {
+    const waves = checkWaves([
+        { formation: 'rings', speed: 1.2, enemies: [{ type: 'normal', count: 8 }, { type: 'charger', count: 2, delay: 3000 }] },
+        { boss: true, speed: 1.5, rules: { fireRateScale: 2, noDrops: true } }
+    ]);
+    
+    assert.deepEqual(parseWaveFile(serializeWaveFile(waves)), waves);
+});
+
+test('boss waves keep their rules when saved', () => {
+    const waves = checkWaves([{ boss: true, rules: { noDrops: true } }]);
+    const written = JSON.parse(serializeWaveFile(waves)).waves[0];
+    
+    assert.deepEqual(written, { boss: true, speed: 1, rules: { noDrops: true } });
+});
@@ -0,0 +1,288 @@
+import { CONFIG, ENEMY_TYPES, WAVE_RULES } from './simulation.js';
+
+// ============================================================================
+// WAVE FILES
+// ============================================================================
+// Authored waves come from a JSON file (see waves.json):
+//
+//   {
+//       "version": 1,
+//       "waves": [
+//           {
+//               "formation": "march",
+//               "speed": 1.1,
+//               "enemies": [
+//                   { "type": "normal", "count": 14 },
+//                   { "type": "charger", "count": 2, "delay": 8000 }
+//               ],
+//               "rules": { "fireRateScale": 1.5 }
+//           },
+//           {
+//               "formation": "placed",
+//               "placed": [
+//                   { "type": "normal", "x": -4, "z": 0 },
+//                   { "type": "charger", "x": 0, "z": -6 }
+//               ]
+//           },
+//           { "boss": true, "speed": 1.2 }
+//       ]
+//   }
+//
+// Waves need an enemy list, placed waves a placed list and boss waves
+// nothing at all - everything else has a default. Enemy groups on placed
+// waves are reinforcements, so they need a delay. See WAVES in
+// simulation.js for what the fields do.
+
+export const WAVE_FILE_VERSION = 1;
+
+// The boss only comes with boss waves
+export const GROUP_TYPES = Object.keys(ENEMY_TYPES).filter(type => type !== 'boss');
+
+export const WAVE_FORMATIONS = [...CONFIG.formationPatterns, 'placed', 'random'];
+
+const WAVE_FIELDS = ['boss', 'formation', 'speed', 'enemies', 'placed', 'rules'];
+const GROUP_FIELDS = ['type', 'count', 'delay'];
+const PLACEMENT_FIELDS = ['type', 'x', 'z'];
+
+// Limits that catch typos before they spawn a thousand aliens
+const LIMITS = {
+    speed: 10,
+    count: 100,
+    delay: 600000, // Ten minutes
+    placed: 200
+};
+
+// Where placed aliens can go: x across the field, z back from the front
+// of the formation
+export const PLACEMENT_AREA = {
+    halfWidth: CONFIG.formationBounds,
+    depth: 30
+};
+
+// What each special rule accepts
+const RULE_CHECKS = {
+    fireRateScale: {
+        valid: value => isNumberInRange(value, 0, 10),
+        expected: 'a number from 0 to 10'
+    },
+    healthBonus: {
+        valid: value => Number.isInteger(value) && value >= 0 && value <= 50,
+        expected: 'a whole number from 0 to 50'
+    },
+    noDrops: {
+        valid: value => typeof value === 'boolean',
+        expected: 'true or false'
+    }
+};
+
+// Parse and check a wave file - returns the wave definitions with defaults
+// filled in, or throws an Error listing every problem, one per line
+export function parseWaveFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Wave file is not valid JSON: ${error.message}`);
+    }
+    
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Wave file must be an object with a "waves" list');
+    }
+    if (data.version !== WAVE_FILE_VERSION) {
+        throw new Error(`Unsupported wave file version: ${data.version}`);
+    }
+    return checkWaves(data.waves);
+}
+
+// Check a list of wave definitions, e.g. from a wave file or a replay.
+// Returns them with defaults filled in, or throws like parseWaveFile.
+export function checkWaves(waves) {
+    if (!Array.isArray(waves)) {
+        throw new Error('"waves" must be a list of waves');
+    }
+    
+    const problems = [];
+    const checked = waves.map((wave, i) => checkWave(wave, `Wave ${i + 1}`, problems));
+    if (problems.length > 0) {
+        throw new Error(problems.join('\n'));
+    }
+    return checked;
+}
+
+function checkWave(wave, where, problems) {
+    if (!wave || typeof wave !== 'object' || Array.isArray(wave)) {
+        problems.push(`${where}: must be an object`);
+        return null;
+    }
+    checkFields(wave, WAVE_FIELDS, where, problems);
+    
+    const boss = wave.boss !== undefined ? wave.boss : false;
+    if (typeof boss !== 'boolean') {
+        problems.push(`${where}: "boss" must be true or false`);
+    }
+    
+    const formation = wave.formation !== undefined ? wave.formation : 'random';
+    if (!WAVE_FORMATIONS.includes(formation)) {
+        problems.push(`${where}: unknown formation ${JSON.stringify(formation)} - expected one of ${WAVE_FORMATIONS.join(', ')}`);
+    }
+    
+    const speed = wave.speed !== undefined ? wave.speed : 1;
+    if (!isNumberInRange(speed, 0, LIMITS.speed) || speed === 0) {
+        problems.push(`${where}: "speed" must be a number above 0, at most ${LIMITS.speed}`);
+    }
+    
+    // Empty lists are what these waves have anyway, so let them through
+    const isEmpty = list => list === undefined || (Array.isArray(list) && list.length === 0);
+    const placedWave = boss !== true && formation === 'placed';
+    
+    let enemies = [];
+    let placed = [];
+    if (boss === true) {
+        if (!isEmpty(wave.enemies) || !isEmpty(wave.placed)) {
+            problems.push(`${where}: boss waves can't have enemies`);
+        }
+    } else {
+        if (placedWave) {
+            if (!Array.isArray(wave.placed) || wave.placed.length === 0 || wave.placed.length > LIMITS.placed) {
+                problems.push(`${where}: placed waves need a "placed" list of 1 to ${LIMITS.placed} aliens`);
+            } else {
+                placed = wave.placed.map((placement, i) => checkPlacement(placement, `${where}, placed alien ${i + 1}`, problems));
+            }
+        } else if (!isEmpty(wave.placed)) {
+            problems.push(`${where}: only waves with the "placed" formation can have a "placed" list`);
+        }
+        
+        if (placedWave && wave.enemies === undefined) {
+            // Reinforcements are optional
+        } else if (!Array.isArray(wave.enemies) || (wave.enemies.length === 0 && !placedWave)) {
+            problems.push(`${where}: "enemies" must be a list with at least one group`);
+        } else {
+            enemies = wave.enemies.map((group, i) => checkGroup(group, `${where}, enemy group ${i + 1}`, problems));
+            if (placedWave && enemies.some(group => group && group.delay === 0)) {
+                problems.push(`${where}: enemy groups on placed waves are reinforcements and need a delay`);
+            }
+        }
+    }
+    
+    return {
+        boss: boss,
+        formation: formation,
+        speed: speed,
+        enemies: enemies,
+        placed: placed,
+        rules: checkRules(wave.rules, where, problems)
+    };
+}
+
+function checkGroup(group, where, problems) {
+    if (!group || typeof group !== 'object' || Array.isArray(group)) {
+        problems.push(`${where}: must be an object`);
+        return null;
+    }
+    checkFields(group, GROUP_FIELDS, where, problems);
+    
+    if (!GROUP_TYPES.includes(group.type)) {
+        problems.push(`${where}: unknown enemy type ${JSON.stringify(group.type)} - expected one of ${GROUP_TYPES.join(', ')}`);
+    }
+    if (!Number.isInteger(group.count) || group.count < 1 || group.count > LIMITS.count) {
+        problems.push(`${where}: "count" must be a whole number from 1 to ${LIMITS.count}`);
+    }
+    
+    const delay = group.delay !== undefined ? group.delay : 0;
+    if (!isNumberInRange(delay, 0, LIMITS.delay)) {
+        problems.push(`${where}: "delay" must be milliseconds from 0 to ${LIMITS.delay}`);
+    }
+    
+    return { type: group.type, count: group.count, delay: delay };
+}
+
+function checkPlacement(placement, where, problems) {
+    if (!placement || typeof placement !== 'object' || Array.isArray(placement)) {
+        problems.push(`${where}: must be an object`);
+        return null;
+    }
+    checkFields(placement, PLACEMENT_FIELDS, where, problems);
+    
+    if (!GROUP_TYPES.includes(placement.type)) {
+        problems.push(`${where}: unknown enemy type ${JSON.stringify(placement.type)} - expected one of ${GROUP_TYPES.join(', ')}`);
+    }
+    if (!isNumberInRange(placement.x, -PLACEMENT_AREA.halfWidth, PLACEMENT_AREA.halfWidth)) {
+        problems.push(`${where}: "x" must be a number from ${-PLACEMENT_AREA.halfWidth} to ${PLACEMENT_AREA.halfWidth}`);
+    }
+    if (!isNumberInRange(placement.z, -PLACEMENT_AREA.depth, 0)) {
+        problems.push(`${where}: "z" must be a number from ${-PLACEMENT_AREA.depth} to 0`);
+    }
+    
+    return { type: placement.type, x: placement.x, z: placement.z };
+}
+
+function checkRules(rules, where, problems) {
+    const checked = { ...WAVE_RULES };
+    if (rules === undefined) return checked;
+    
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        problems.push(`${where}: "rules" must be an object`);
+        return checked;
+    }
+    
+    Object.entries(rules).forEach(([name, value]) => {
+        const check = RULE_CHECKS[name];
+        if (!check) {
+            problems.push(`${where}: unknown rule "${name}" - expected one of ${Object.keys(RULE_CHECKS).join(', ')}`);
+        } else if (!check.valid(value)) {
+            problems.push(`${where}: rule "${name}" must be ${check.expected}`);
+        } else {
+            checked[name] = value;
+        }
+    });
+    return checked;
+}
+
+// Unknown fields are usually misspelled ones
+function checkFields(object, fields, where, problems) {
+    Object.keys(object).forEach((key) => {
+        if (!fields.includes(key)) {
+            problems.push(`${where}: unknown field "${key}"`);
+        }
+    });
+}
+
+function isNumberInRange(value, min, max) {
+    return typeof value === 'number' && isFinite(value) && value >= min && value <= max;
+}
+
+// ============================================================================
+// EDITING
+// ============================================================================
+// The wave the editor starts new waves from
+export function createWave() {
+    return {
+        boss: false,
+        formation: 'random',
+        speed: 1,
+        enemies: [{ type: GROUP_TYPES[0], count: CONFIG.alienBaseCount, delay: 0 }],
+        placed: [],
+        rules: { ...WAVE_RULES }
+    };
+}
+
+// Wave file text for checked waves, leaving out fields that only repeat
+// the defaults so the file stays easy to edit by hand
+export function serializeWaveFile(waves) {
+    const written = waves.map((wave) => {
+        const entry = wave.boss ? { boss: true, speed: wave.speed } : { formation: wave.formation, speed: wave.speed };
+        if (!wave.boss && wave.formation === 'placed') {
+            entry.placed = wave.placed;
+        }
+        if (!wave.boss && wave.enemies.length > 0) {
+            entry.enemies = wave.enemies.map(group => (group.delay > 0 ? group : { type: group.type, count: group.count }));
+        }
+        
+        const rules = Object.entries(wave.rules).filter(([name, value]) => value !== WAVE_RULES[name]);
+        if (rules.length > 0) {
+            entry.rules = Object.fromEntries(rules);
+        }
+        return entry;
+    });
+    return JSON.stringify({ version: WAVE_FILE_VERSION, waves: written }, null, 4);
+}
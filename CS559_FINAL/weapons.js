@@ -0,0 +1,72 @@
+// ============================================================================
+// WEAPONS
+// ============================================================================
+// Weapon definitions are plain data shared by the simulation (how a weapon
+// fires) and the renderer (how its shots look). The number keys pick weapons
+// in list order - replays store the pick in 3 bits, so keep the list to 7.
+//
+//   count     - projectiles per shot
+//   spread    - radians between neighbouring projectiles
+//   speed     - world units per second
+//   damage    - health taken off per hit
+//   pierce    - extra aliens each projectile flies through
+//   cooldown  - milliseconds between shots
+//   hitRadius - size of each projectile's hit volume
+//   visuals   - { color, radius, length } - a length draws a bolt, not an orb
+
+export const WEAPONS = [
+    {
+        id: 'blaster',
+        name: 'BLASTER',
+        count: 1,
+        spread: 0,
+        speed: 36,
+        damage: 1,
+        pierce: 0,
+        cooldown: 238,
+        hitRadius: 0.2,
+        visuals: { color: 0xff6600, radius: 0.2, length: 0 }
+    },
+    {
+        id: 'scatter',
+        name: 'SCATTER',
+        count: 5,
+        spread: 0.12,
+        speed: 30,
+        damage: 1,
+        pierce: 0,
+        cooldown: 520,
+        hitRadius: 0.14,
+        visuals: { color: 0xffdd00, radius: 0.14, length: 0 }
+    },
+    {
+        id: 'rail',
+        name: 'RAIL',
+        count: 1,
+        spread: 0,
+        speed: 70,
+        damage: 2,
+        pierce: 3,
+        cooldown: 650,
+        hitRadius: 0.1,
+        visuals: { color: 0x66ccff, radius: 0.1, length: 1.6 }
+    },
+    {
+        id: 'cannon',
+        name: 'CANNON',
+        count: 1,
+        spread: 0,
+        speed: 22,
+        damage: 4,
+        pierce: 0,
+        cooldown: 750,
+        hitRadius: 0.4,
+        visuals: { color: 0xff3366, radius: 0.4, length: 0 }
+    }
+];
+
+export const DEFAULT_WEAPON = WEAPONS[0].id;
+
+export function getWeapon(id) {
+    return WEAPONS.find(weapon => weapon.id === id) || WEAPONS[0];
+}